@@ -0,0 +1,95 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+export const ROLES = ["admin", "company_admin", "academy_admin", "scorer"];
+
+// API Key Schema
+const ApiKeySchema = new mongoose.Schema(
+  {
+    keyId: { type: String, required: true, unique: true },
+    name: { type: String, required: true },
+    role: { type: String, enum: ROLES, required: true },
+    companyId: { type: String },
+    academyId: { type: String },
+    keyHash: { type: String, required: true, unique: true, select: false },
+    prefix: { type: String, required: true },
+    createdBy: { type: String },
+    lastUsedAt: { type: Date },
+    revokedAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+export const ApiKey = mongoose.model("ApiKey", ApiKeySchema);
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return (
+    bufferA.length === bufferB.length &&
+    crypto.timingSafeEqual(bufferA, bufferB)
+  );
+};
+
+// Only the hash is stored, so the plain key is returned to the caller once
+export const createApiKey = async (fields) => {
+  const key = `lsk_${crypto.randomBytes(24).toString("base64url")}`;
+  const apiKey = await ApiKey.create({
+    ...fields,
+    keyId: crypto.randomUUID(),
+    keyHash: hashKey(key),
+    prefix: key.slice(0, 10),
+  });
+  return { apiKey, key };
+};
+
+const readKey = (req) => {
+  const header = req.get("authorization");
+  if (header?.startsWith("Bearer ")) {
+    return header.slice("Bearer ".length);
+  }
+  if (req.get("x-api-key")) {
+    return req.get("x-api-key");
+  }
+  // EventSource cannot set headers, so live feeds may pass the key in the URL
+  if (req.get("accept") === "text/event-stream") {
+    return req.query.apiKey;
+  }
+  return null;
+};
+
+// Resolve the caller's key; ADMIN_API_KEY from the environment is the root key
+export const authenticate = async (req, res, next) => {
+  const key = readKey(req);
+  if (!key) {
+    return res.status(401).json({ error: "API key required" });
+  }
+
+  try {
+    if (
+      process.env.ADMIN_API_KEY &&
+      safeEqual(key, process.env.ADMIN_API_KEY)
+    ) {
+      req.apiKey = { keyId: "root", role: "admin" };
+      return next();
+    }
+
+    const apiKey = await ApiKey.findOne({
+      keyHash: hashKey(key),
+      revokedAt: null,
+    });
+    if (!apiKey) {
+      return res.status(401).json({ error: "Invalid API key" });
+    }
+
+    ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date() }).catch(
+      (error) => console.error("Error recording API key use:", error)
+    );
+    req.apiKey = apiKey;
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
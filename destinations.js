@@ -0,0 +1,186 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { encryptTokens, decryptTokens } from "./tokenCrypto.js";
+
+export const DESTINATION_STATUSES = ["ready", "live", "complete", "failed"];
+export const RELAY_STATUSES = ["connecting", "live", "reconnecting", "stopped"];
+
+// Well-known ingest servers; "custom" takes any RTMP URL
+export const RTMP_PRESETS = {
+  facebook: "rtmps://live-api-s.facebook.com:443/rtmp/",
+  twitch: "rtmp://live.twitch.tv/app",
+};
+const PLATFORMS = [...Object.keys(RTMP_PRESETS), "custom"];
+
+// Destination Schema, for outputs a ground sends to besides YouTube
+export const DestinationSchema = new mongoose.Schema(
+  {
+    destinationId: { type: String, required: true },
+    provider: { type: String, enum: ["rtmp"], default: "rtmp" },
+    platform: { type: String, enum: PLATFORMS, default: "custom" },
+    name: { type: String, required: true },
+    url: { type: String, required: true },
+    credentials: { type: Object, required: true },
+    streamKeyHint: { type: String },
+    enabled: { type: Boolean, default: true },
+  },
+  { _id: false }
+);
+
+// Stream keys are encrypted like YouTube tokens and never sent back
+DestinationSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.credentials;
+    return ret;
+  },
+});
+
+// Where a match is being sent and how each output is doing
+export const MatchDestinationSchema = new mongoose.Schema(
+  {
+    destinationId: { type: String, required: true },
+    provider: { type: String, enum: ["youtube", "rtmp"], required: true },
+    name: { type: String },
+    ingestionAddress: { type: String },
+    status: { type: String, enum: DESTINATION_STATUSES, default: "ready" },
+    error: { type: String },
+    updatedAt: { type: Date, default: Date.now },
+    // Set while the built-in relay is feeding this destination
+    relay: {
+      status: { type: String, enum: RELAY_STATUSES },
+      error: { type: String },
+      attempts: { type: Number },
+      updatedAt: { type: Date },
+    },
+  },
+  { _id: false }
+);
+
+// Returns an error message for invalid input, if any. Updates may leave
+// out fields they do not change.
+export const validateDestination = (input, { partial = false } = {}) => {
+  const platform = input.platform || "custom";
+  if (!PLATFORMS.includes(platform)) {
+    return `platform must be one of ${PLATFORMS.join(", ")}`;
+  }
+  if (!partial && !input.name) {
+    return "name is required";
+  }
+  if (!partial && !input.streamKey) {
+    return "streamKey is required";
+  }
+  const url = input.url || RTMP_PRESETS[platform];
+  if (!partial && !url) {
+    return "url is required for custom destinations";
+  }
+  if (url && !/^rtmps?:\/\/[^/\s]+/.test(url)) {
+    return "url must be an rtmp:// or rtmps:// address";
+  }
+  if (input.enabled !== undefined && typeof input.enabled !== "boolean") {
+    return "enabled must be true or false";
+  }
+  return null;
+};
+
+// Turn validated input into stored fields, sealing the stream key
+export const destinationFields = (input) => {
+  const fields = {};
+  if (input.platform) fields.platform = input.platform;
+  if (input.name) fields.name = input.name;
+  if (input.url || RTMP_PRESETS[input.platform]) {
+    fields.url = input.url || RTMP_PRESETS[input.platform];
+  }
+  if (input.enabled !== undefined) fields.enabled = input.enabled;
+  if (input.streamKey) {
+    fields.credentials = encryptTokens({ streamKey: input.streamKey });
+    fields.streamKeyHint = `...${input.streamKey.slice(-4)}`;
+  }
+  return fields;
+};
+
+export const newDestinationId = () => crypto.randomBytes(6).toString("hex");
+
+const YOUTUBE_DESTINATIONS = [
+  {
+    destinationId: "youtube-academy",
+    provider: "youtube",
+    name: "YouTube academy channel",
+    channel: "academy",
+  },
+  {
+    destinationId: "youtube-company",
+    provider: "youtube",
+    name: "YouTube company channel",
+    channel: "company",
+  },
+];
+
+// Each provider turns a destination into what the encoder pushes to. The
+// YouTube streams already exist by now and are passed in per channel.
+export const rtmpIngest = (destination) => ({
+  ingestionAddress: destination.url,
+  streamKey: decryptTokens(destination.credentials).streamKey,
+});
+
+const providers = {
+  youtube: (destination, { youtube }) => ({
+    ingestionAddress: youtube[destination.channel].ingestionAddress,
+    streamKey: youtube[destination.channel].streamKey,
+  }),
+  rtmp: rtmpIngest,
+};
+
+export const toPushUrl = ({ ingestionAddress, streamKey }) =>
+  `${ingestionAddress.replace(/\/$/, "")}/${streamKey}`;
+
+// Record every enabled destination on the match and return the ingest
+// details for each. Stream keys are only in the returned list.
+export const prepareMatchDestinations = (match, ground, youtube) => {
+  const destinations = [
+    ...YOUTUBE_DESTINATIONS,
+    ...(ground?.destinations || []).filter((d) => d.enabled),
+  ];
+
+  const ingest = destinations.map((destination) => ({
+    destinationId: destination.destinationId,
+    provider: destination.provider,
+    name: destination.name,
+    status: "ready",
+    ...providers[destination.provider](destination, { youtube }),
+  }));
+
+  match.destinations = ingest.map(({ streamKey, ...destination }) => ({
+    ...destination,
+    updatedAt: new Date(),
+  }));
+  return ingest;
+};
+
+export const setDestinationStatus = (match, destinationId, status, error) => {
+  const destination = match.destinations?.find(
+    (d) => d.destinationId === destinationId
+  );
+  if (!destination || destination.status === status) {
+    return;
+  }
+  destination.status = status;
+  destination.error = error;
+  destination.updatedAt = new Date();
+};
+
+// Outputs without their own feedback follow the match as a whole
+export const syncDestinationStatuses = (match) => {
+  (match.destinations || []).forEach((destination) => {
+    const { provider, status, destinationId } = destination;
+    if (match.status === "live" && provider === "rtmp" && status === "ready") {
+      setDestinationStatus(match, destinationId, "live");
+    } else if (
+      ["complete", "cancelled"].includes(match.status) &&
+      ["ready", "live"].includes(status)
+    ) {
+      setDestinationStatus(match, destinationId, "complete");
+    } else if (match.status === "failed" && status === "ready") {
+      setDestinationStatus(match, destinationId, "failed", match.error);
+    }
+  });
+};
@@ -0,0 +1,254 @@
+import crypto from "crypto";
+
+const SETTLE_DELAY = 1000; // testStarting/liveStarting -> testing/live
+
+const youtubeError = (code, reason, message) => {
+  const error = new Error(message);
+  error.code = code;
+  error.errors = [{ reason, message }];
+  return error;
+};
+
+// Each OAuth client stands in for one channel
+const ownerOf = (auth) =>
+  auth?.credentials?.refresh_token ||
+  auth?.credentials?.access_token ||
+  "default";
+
+const idsOf = (id) => (id ? String(id).split(",") : null);
+
+// In-memory stand-in for the parts of the YouTube Data API used by this service
+// Set FAKE_YOUTUBE_ENCODER_DELAY_MS=-1 to only activate streams by hand
+export const createFakeYoutube = ({
+  encoderDelay = Number(process.env.FAKE_YOUTUBE_ENCODER_DELAY_MS ?? 5000),
+} = {}) => {
+  const streams = new Map();
+  const broadcasts = new Map();
+  const thumbnails = new Map();
+
+  const newId = () => crypto.randomBytes(8).toString("base64url");
+
+  const setStreamStatus = (streamId, streamStatus, healthStatus) => {
+    const stream = streams.get(streamId);
+    if (!stream) {
+      throw youtubeError(404, "liveStreamNotFound", "Stream not found");
+    }
+    stream.status.streamStatus = streamStatus;
+    stream.status.healthStatus = {
+      status: healthStatus,
+      lastUpdateTimeSeconds: String(Math.floor(Date.now() / 1000)),
+      configurationIssues: [],
+    };
+    return stream;
+  };
+
+  const settle = (broadcast, from, to) =>
+    setTimeout(() => {
+      if (broadcast.status.lifeCycleStatus === from) {
+        broadcast.status.lifeCycleStatus = to;
+      }
+    }, SETTLE_DELAY);
+
+  const findOwned = (map, id, auth, reason) => {
+    const item = map.get(id);
+    if (!item || item.owner !== ownerOf(auth)) {
+      throw youtubeError(404, reason, `${id} not found`);
+    }
+    return item;
+  };
+
+  const strip = ({ owner, ...item }) => item;
+
+  return {
+    isFake: true,
+    setStreamStatus,
+
+    liveStreams: {
+      list: async ({ auth, id }) => {
+        const ids = idsOf(id);
+        const items = [...streams.values()].filter(
+          (s) => s.owner === ownerOf(auth) && (!ids || ids.includes(s.id))
+        );
+        return { data: { items: items.map(strip) } };
+      },
+      insert: async ({ auth, requestBody }) => {
+        const id = newId();
+        const stream = {
+          id,
+          owner: ownerOf(auth),
+          snippet: { ...requestBody.snippet },
+          cdn: {
+            ...requestBody.cdn,
+            ingestionInfo: {
+              streamName: requestBody.cdn?.ingestionInfo?.streamName || id,
+              ingestionAddress: "rtmp://localhost/live2",
+            },
+          },
+          contentDetails: { ...requestBody.contentDetails },
+          status: { streamStatus: "ready", healthStatus: { status: "noData" } },
+        };
+        streams.set(id, stream);
+        return { data: strip(stream) };
+      },
+      delete: async ({ auth, id }) => {
+        findOwned(streams, id, auth, "liveStreamNotFound");
+        streams.delete(id);
+        return { data: {} };
+      },
+    },
+
+    liveBroadcasts: {
+      list: async ({ auth, id, broadcastStatus }) => {
+        const ids = idsOf(id);
+        const items = [...broadcasts.values()].filter((b) => {
+          if (b.owner !== ownerOf(auth)) return false;
+          if (ids) return ids.includes(b.id);
+          if (broadcastStatus === "active") {
+            return ["testing", "live"].includes(b.status.lifeCycleStatus);
+          }
+          if (broadcastStatus === "upcoming") {
+            return ["created", "ready"].includes(b.status.lifeCycleStatus);
+          }
+          if (broadcastStatus === "completed") {
+            return b.status.lifeCycleStatus === "complete";
+          }
+          return true;
+        });
+        return { data: { items: items.map(strip) } };
+      },
+      insert: async ({ auth, requestBody }) => {
+        const id = newId();
+        const broadcast = {
+          id,
+          owner: ownerOf(auth),
+          snippet: { ...requestBody.snippet },
+          status: { ...requestBody.status, lifeCycleStatus: "created" },
+          contentDetails: { ...requestBody.contentDetails },
+        };
+        broadcasts.set(id, broadcast);
+        return { data: strip(broadcast) };
+      },
+      bind: async ({ auth, id, streamId }) => {
+        const broadcast = findOwned(
+          broadcasts,
+          id,
+          auth,
+          "liveBroadcastNotFound"
+        );
+        const stream = findOwned(streams, streamId, auth, "liveStreamNotFound");
+        broadcast.contentDetails.boundStreamId = stream.id;
+        broadcast.status.lifeCycleStatus = "ready";
+
+        // Simulate the ground's encoder connecting shortly after binding
+        if (encoderDelay >= 0 && stream.status.streamStatus !== "active") {
+          setTimeout(() => {
+            if (streams.has(stream.id)) {
+              setStreamStatus(stream.id, "active", "good");
+            }
+          }, encoderDelay);
+        }
+        return { data: strip(broadcast) };
+      },
+      update: async ({ auth, requestBody }) => {
+        const broadcast = findOwned(
+          broadcasts,
+          requestBody.id,
+          auth,
+          "liveBroadcastNotFound"
+        );
+        Object.assign(broadcast.snippet, requestBody.snippet);
+        Object.assign(broadcast.status, requestBody.status);
+        Object.assign(broadcast.contentDetails, requestBody.contentDetails);
+        return { data: strip(broadcast) };
+      },
+      transition: async ({ auth, id, broadcastStatus }) => {
+        const broadcast = findOwned(
+          broadcasts,
+          id,
+          auth,
+          "liveBroadcastNotFound"
+        );
+        const current = broadcast.status.lifeCycleStatus;
+        const stream = streams.get(broadcast.contentDetails.boundStreamId);
+
+        if (current === broadcastStatus) {
+          throw youtubeError(
+            403,
+            "redundantTransition",
+            "Redundant transition"
+          );
+        }
+
+        if (broadcastStatus === "complete") {
+          if (!["testing", "live"].includes(current)) {
+            throw youtubeError(403, "invalidTransition", "Invalid transition");
+          }
+          broadcast.status.lifeCycleStatus = "complete";
+          return { data: strip(broadcast) };
+        }
+
+        if (stream?.status.streamStatus !== "active") {
+          throw youtubeError(403, "errorStreamInactive", "Stream is inactive");
+        }
+
+        const allowed =
+          (broadcastStatus === "testing" && current === "ready") ||
+          (broadcastStatus === "live" &&
+            (current === "testing" ||
+              (current === "ready" &&
+                !broadcast.contentDetails.monitorStream?.enableMonitorStream)));
+        if (!allowed) {
+          throw youtubeError(403, "invalidTransition", "Invalid transition");
+        }
+
+        const starting =
+          broadcastStatus === "testing" ? "testStarting" : "liveStarting";
+        broadcast.status.lifeCycleStatus = starting;
+        settle(broadcast, starting, broadcastStatus);
+        return { data: strip(broadcast) };
+      },
+      delete: async ({ auth, id }) => {
+        findOwned(broadcasts, id, auth, "liveBroadcastNotFound");
+        broadcasts.delete(id);
+        return { data: {} };
+      },
+    },
+
+    thumbnails: {
+      set: async ({ auth, videoId }) => {
+        findOwned(broadcasts, videoId, auth, "videoNotFound");
+        thumbnails.set(videoId, new Date());
+        return { data: { items: [{ default: { url: "fake" } }] } };
+      },
+    },
+
+    videos: {
+      update: async ({ auth, requestBody }) => {
+        const broadcast = findOwned(
+          broadcasts,
+          requestBody.id,
+          auth,
+          "videoNotFound"
+        );
+        Object.assign(broadcast.snippet, requestBody.snippet);
+        return { data: strip(broadcast) };
+      },
+    },
+
+    channels: {
+      list: async ({ auth }) => {
+        const owner = ownerOf(auth);
+        return {
+          data: {
+            items: [
+              {
+                id: `UC${crypto.createHash("md5").update(owner).digest("hex")}`,
+                snippet: { title: `Fake channel (${owner})` },
+              },
+            ],
+          },
+        };
+      },
+    },
+  };
+};
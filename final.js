@@ -1,27 +1,148 @@
+import "dotenv/config";
 import express from "express";
 import { google } from "googleapis";
-import dotenv from "dotenv";
 import cors from "cors";
 import mongoose from "mongoose";
+import schedule from "node-schedule";
+import multer from "multer";
+import sharp from "sharp";
+import crypto from "crypto";
+import { Readable } from "stream";
+import { EventEmitter } from "events";
+import { getYoutube } from "./youtubeClient.js";
+import {
+  startStreamStatusChecker,
+  getHealthHistory,
+} from "./streamStatusChecker.js";
+import {
+  WEBHOOK_EVENTS,
+  Webhook,
+  WebhookDelivery,
+  generateWebhookSecret,
+  checkWebhookUrl,
+  handleMatchEvent,
+  restoreWebhookDeliveries,
+} from "./webhooks.js";
+import { ROLES, ApiKey, createApiKey, authenticate } from "./apiKeys.js";
+import { assertTokenKey, encryptTokens, decryptTokens } from "./tokenCrypto.js";
+import {
+  DestinationSchema,
+  MatchDestinationSchema,
+  validateDestination,
+  destinationFields,
+  newDestinationId,
+  prepareMatchDestinations,
+  setDestinationStatus,
+  syncDestinationStatuses,
+  rtmpIngest,
+  toPushUrl,
+} from "./destinations.js";
+import { startRelay, relayPort } from "./relay.js";
+import { QUOTA_COSTS, withQuotaPriority, getQuotaUsage } from "./quota.js";
+import { idempotent } from "./idempotency.js";
+import { Job, startJob, failInterruptedJobs } from "./jobs.js";
+import { migrateCompanyIds } from "./migrateCompanyIds.js";
+import {
+  MAX_FIXTURE_FILE_SIZE,
+  isJsonFile,
+  isCsvFile,
+  parseFixtureFile,
+  validateFixture,
+  fixturesOverlap,
+} from "./fixtures.js";
+import {
+  createOAuthState,
+  findOAuthState,
+  bindOAuthState,
+  claimOAuthState,
+} from "./oauthState.js";
+
+// Refreshed tokens can't be stored without the key
+assertTokenKey();
 
 const app = express();
-dotenv.config();
 
 mongoose.connect(process.env.MONGODB_URI);
 
+// Which channel a stored token belongs to and whether it still works
+const youtubeConnection = {
+  channelId: { type: String },
+  channelTitle: { type: String },
+  needsReauth: { type: Boolean, default: false },
+  lastCheckedAt: { type: Date },
+  lastError: { type: String },
+};
+
 // Company Schema
 const CompanySchema = new mongoose.Schema({
+  companyId: { type: String, required: true, unique: true },
   name: { type: String, required: true },
   youtubeTokens: { type: Object },
+  youtubeConnection,
 });
 
+// Stored tokens are encrypted; API responses only say whether one exists
+const hideTokens = {
+  transform: (doc, ret) => {
+    ret.youtubeConnected = !!ret.youtubeTokens;
+    delete ret.youtubeTokens;
+    return ret;
+  },
+};
+CompanySchema.set("toJSON", hideTokens);
+
 const Company = mongoose.model("Company", CompanySchema);
 
+// Broadcast settings can be set on an academy, a ground and a match; the
+// most specific value wins and anything unset falls back to the defaults
+const BROADCAST_SETTING_OPTIONS = {
+  privacyStatus: ["public", "unlisted", "private"],
+  latencyPreference: ["normal", "low", "ultraLow"],
+  resolution: ["240p", "360p", "480p", "720p", "1080p", "1440p", "2160p"],
+  frameRate: ["30fps", "60fps"],
+  ingestionType: ["rtmp", "dash", "hls"],
+};
+
+const DEFAULT_BROADCAST_SETTINGS = {
+  privacyStatus: "public",
+  madeForKids: false,
+  latencyPreference: "normal",
+  resolution: "1080p",
+  frameRate: "30fps",
+  ingestionType: "rtmp",
+  enableDvr: true,
+  embeddable: true,
+  categoryId: null,
+};
+
+const broadcastSettings = {
+  privacyStatus: {
+    type: String,
+    enum: BROADCAST_SETTING_OPTIONS.privacyStatus,
+  },
+  madeForKids: { type: Boolean },
+  latencyPreference: {
+    type: String,
+    enum: BROADCAST_SETTING_OPTIONS.latencyPreference,
+  },
+  resolution: { type: String, enum: BROADCAST_SETTING_OPTIONS.resolution },
+  frameRate: { type: String, enum: BROADCAST_SETTING_OPTIONS.frameRate },
+  ingestionType: {
+    type: String,
+    enum: BROADCAST_SETTING_OPTIONS.ingestionType,
+  },
+  enableDvr: { type: Boolean },
+  embeddable: { type: Boolean },
+  categoryId: { type: String },
+};
+
 // Academy Schema
 const AcademySchema = new mongoose.Schema({
   academyId: { type: String, required: true },
+  companyId: { type: String },
   name: { type: String, required: true },
   youtubeTokens: { type: Object },
+  youtubeConnection,
   grounds: [
     {
       groundId: { type: String, required: true },
@@ -29,15 +150,147 @@ const AcademySchema = new mongoose.Schema({
       streamKey: { type: String, required: true },
       academyStreamId: { type: String },
       companyStreamId: { type: String },
+      broadcastSettings,
+      destinations: [DestinationSchema],
     },
   ],
+  broadcastSettings,
+  thumbnailTemplate: {
+    image: { type: Buffer, select: false },
+    textColor: { type: String },
+    backgroundColor: { type: String },
+  },
 });
 
+AcademySchema.set("toJSON", hideTokens);
+
 const Academy = mongoose.model("Academy", AcademySchema);
 
-app.use(cors());
+// Match Schema
+const MatchSchema = new mongoose.Schema(
+  {
+    matchId: { type: String, required: true, unique: true },
+    academyId: { type: String, required: true },
+    groundId: { type: String, required: true },
+    title: { type: String, required: true },
+    teamA: { type: String },
+    teamB: { type: String },
+    startTime: { type: Date, required: true },
+    endTime: { type: Date },
+    status: {
+      type: String,
+      enum: [
+        "scheduled",
+        "partial",
+        "created",
+        "live",
+        "complete",
+        "failed",
+        "cancelled",
+      ],
+      default: "scheduled",
+    },
+    academyBroadcastId: { type: String },
+    companyBroadcastId: { type: String },
+    academyStreamId: { type: String },
+    companyStreamId: { type: String },
+    // Set when the channel's stream was created for this match alone, so it
+    // is deleted once the match is over instead of being reused
+    academyStreamDedicated: { type: Boolean },
+    companyStreamDedicated: { type: Boolean },
+    broadcastsCreatedAt: { type: Date },
+    // Every attempt to create or roll back a channel's broadcast
+    broadcastSteps: [
+      {
+        channel: { type: String, enum: ["academy", "company"] },
+        action: { type: String, enum: ["create", "rollback"] },
+        status: { type: String, enum: ["succeeded", "failed"] },
+        broadcastId: { type: String },
+        error: { type: String },
+        at: { type: Date, default: Date.now },
+      },
+    ],
+    liveAt: { type: Date },
+    completedAt: { type: Date },
+    cancelledAt: { type: Date },
+    thumbnailSource: { type: String, enum: ["uploaded", "generated"] },
+    thumbnailUpdatedAt: { type: Date },
+    score: {
+      teamA: { type: Number, default: 0 },
+      teamB: { type: Number, default: 0 },
+      teamAWickets: { type: Number },
+      teamBWickets: { type: Number },
+      period: { type: String },
+      updatedAt: { type: Date },
+    },
+    scoreEvents: [
+      {
+        type: { type: String, required: true },
+        team: { type: String },
+        value: { type: mongoose.Schema.Types.Mixed },
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
+    scorePushedAt: { type: Date },
+    armedUntil: { type: Date },
+    lastObservedHealth: { type: Object },
+    broadcastSettings,
+    destinations: [MatchDestinationSchema],
+    error: { type: String },
+  },
+  { timestamps: true }
+);
+
+// Publish lifecycle changes to live dashboards
+MatchSchema.pre("save", function (next) {
+  this.$locals.statusChanged = this.isModified("status");
+  if (this.$locals.statusChanged) {
+    syncDestinationStatuses(this);
+  }
+  next();
+});
+
+MatchSchema.post("save", function (match) {
+  if (match.$locals.statusChanged) {
+    publishMatchEvent(match, "lifecycle", { status: match.status });
+  }
+});
+
+const Match = mongoose.model("Match", MatchSchema);
+
+// CORS_ORIGINS is a comma-separated allow list; no cross-origin requests
+// when unset
+app.use(
+  cors({
+    origin: (process.env.CORS_ORIGINS || "")
+      .split(",")
+      .map((origin) => origin.trim())
+      .filter(Boolean),
+  })
+);
 app.use(express.json());
 
+// Going live and ending keep working when quota runs low; polling does not
+const QUOTA_PRIORITIES = {
+  "/go-live-now": "high",
+  "/start-stream": "high",
+  "/end-stream": "high",
+  "/check-stream-status": "low",
+};
+const HIGH_PRIORITY_MATCH_ACTIONS = /^\/matches\/[^/]+\/(start|end|resume)$/;
+const quotaPriorityFor = (path) =>
+  QUOTA_PRIORITIES[path] ||
+  (HIGH_PRIORITY_MATCH_ACTIONS.test(path) ? "high" : "normal");
+app.use((req, res, next) =>
+  withQuotaPriority(quotaPriorityFor(req.path), next)
+);
+
+// Both are opened in the OAuth popup, which has no API key
+const PUBLIC_PATHS = ["/oauth/start", "/oauth2callback"];
+app.use((req, res, next) =>
+  PUBLIC_PATHS.includes(req.path) ? next() : authenticate(req, res, next)
+);
+
 const CLIENT_ID = process.env.CLIENT_ID;
 const CLIENT_SECRET = process.env.CLIENT_SECRET;
 const REDIRECT_URI = process.env.REDIRECT_URI;
@@ -47,33 +300,57 @@ const getOAuthClient = () => {
   return new google.auth.OAuth2(CLIENT_ID, CLIENT_SECRET, REDIRECT_URI);
 };
 
-const getCompanyOAuthClient = async () => {
-  try {
-    const company = await Company.findOne();
-    if (!company || !company.youtubeTokens) {
-      throw new Error("Company not authenticated");
-    }
+const getAcademyOAuthClient = (academy) => {
+  const client = getOAuthClient();
+  client.setCredentials(decryptTokens(academy.youtubeTokens));
+  client.quotaAcademyId = academy.academyId;
+  return client;
+};
 
-    const oauth2Client = new google.auth.OAuth2(
-      CLIENT_ID,
-      CLIENT_SECRET,
-      REDIRECT_URI
-    );
+// Academies from before multi-company support get a companyId from
+// migrateCompanyIds on startup
+const findAcademyCompany = (academy) =>
+  academy.companyId ? Company.findOne({ companyId: academy.companyId }) : null;
+
+const createCompanyOAuthClient = (company) => {
+  const oauth2Client = new google.auth.OAuth2(
+    CLIENT_ID,
+    CLIENT_SECRET,
+    REDIRECT_URI
+  );
 
-    oauth2Client.setCredentials(company.youtubeTokens);
+  const tokens = decryptTokens(company.youtubeTokens);
+  oauth2Client.setCredentials(tokens);
 
-    oauth2Client.on("tokens", async (newTokens) => {
+  oauth2Client.on("tokens", async (newTokens) => {
+    try {
       const updatedTokens = {
-        ...company.youtubeTokens,
+        ...tokens,
         ...newTokens,
       };
 
       await Company.findOneAndUpdate(
         { _id: company._id },
-        { youtubeTokens: updatedTokens }
+        { youtubeTokens: encryptTokens(updatedTokens) }
       );
-    });
+    } catch (error) {
+      console.error("Error saving refreshed company tokens:", error);
+    }
+  });
 
+  return oauth2Client;
+};
+
+const getCompanyOAuthClient = async (academy) => {
+  try {
+    const company = await findAcademyCompany(academy);
+    if (!company || !company.youtubeTokens) {
+      throw new Error("Company not authenticated");
+    }
+
+    // Quota spent mirroring an academy is counted against that academy
+    const oauth2Client = createCompanyOAuthClient(company);
+    oauth2Client.quotaAcademyId = academy.academyId;
     return oauth2Client;
   } catch (error) {
     console.error("Error in getCompanyOAuthClient:", error);
@@ -81,15 +358,379 @@ const getCompanyOAuthClient = async () => {
   }
 };
 
+const getMatchOAuthClients = async (match) => {
+  const academy = await Academy.findOne({ academyId: match.academyId });
+  if (!academy || !academy.youtubeTokens) {
+    throw new Error("Academy not authenticated");
+  }
+  return {
+    academy: getAcademyOAuthClient(academy),
+    company: await getCompanyOAuthClient(academy),
+  };
+};
+
+// One channel's client for a match, for callers that must keep going when
+// the other channel's connection is broken
+const getMatchChannelClient = async (match, channel) => {
+  const academy = await Academy.findOne({ academyId: match.academyId });
+  if (!academy || !academy.youtubeTokens) {
+    throw new Error("Academy not authenticated");
+  }
+  return getChannelClient(academy, channel);
+};
+
+// Authorization
+const COMPANY_ROLES = ["admin", "company_admin"];
+const MANAGE_ROLES = [...COMPANY_ROLES, "academy_admin"];
+
+const canAccessCompany = (apiKey, companyId) =>
+  apiKey.role === "admin" ||
+  (apiKey.role === "company_admin" && apiKey.companyId === companyId);
+
+const canAccessAcademy = (apiKey, academy) =>
+  apiKey.role === "company_admin"
+    ? canAccessCompany(apiKey, academy.companyId)
+    : apiKey.role === "admin" || apiKey.academyId === academy.academyId;
+
+const TARGET_FIELDS = [
+  "academyId",
+  "jobId",
+  "matchId",
+  "broadcastId",
+  "academyBroadcastId",
+  "companyBroadcastId",
+];
+
+// Every value the request gives for each identifier, wherever it was sent.
+// Throws on anything that is not a string, since it could match documents
+// the check below never saw.
+const collectTargets = (req) =>
+  Object.fromEntries(
+    TARGET_FIELDS.map((field) => {
+      const values = [req.params, req.body, req.query]
+        .flatMap((source) => [source?.[field]])
+        .flat()
+        .filter(
+          (value) => value !== undefined && value !== null && value !== ""
+        );
+      if (values.some((value) => typeof value !== "string")) {
+        const error = new Error(`${field} must be a string`);
+        error.status = 400;
+        throw error;
+      }
+      return [field, [...new Set(values)]];
+    })
+  );
+
+// Every academy a request acts on: the ones it names, and the owners of any
+// job, match or broadcast it refers to
+const findTargetAcademyIds = async (req) => {
+  const targets = collectTargets(req);
+  const academyIds = new Set(targets.academyId);
+
+  if (targets.jobId.length) {
+    const jobs = await Job.find({ jobId: { $in: targets.jobId } });
+    jobs.forEach((job) => job.academyId && academyIds.add(job.academyId));
+  }
+  if (targets.matchId.length) {
+    const matches = await Match.find({ matchId: { $in: targets.matchId } });
+    matches.forEach((match) => academyIds.add(match.academyId));
+  }
+
+  const broadcastIds = [
+    ...targets.broadcastId,
+    ...targets.academyBroadcastId,
+    ...targets.companyBroadcastId,
+  ];
+  if (broadcastIds.length) {
+    const owners = await Match.find({
+      $or: [
+        { academyBroadcastId: { $in: broadcastIds } },
+        { companyBroadcastId: { $in: broadcastIds } },
+      ],
+    });
+    owners.forEach((match) => academyIds.add(match.academyId));
+  }
+
+  return [...academyIds];
+};
+
+// Check the caller's role, then that it may act on the targeted company,
+// academy and broadcasts. Missing resources are left for the route to 404.
+const allow = (roles) => async (req, res, next) => {
+  const { apiKey } = req;
+  if (!roles.includes(apiKey.role)) {
+    return res.status(403).json({ error: "Not allowed for this role" });
+  }
+  if (apiKey.role === "admin") {
+    return next();
+  }
+
+  try {
+    if (
+      req.params.companyId &&
+      !canAccessCompany(apiKey, req.params.companyId)
+    ) {
+      return res.status(403).json({ error: "Not allowed for this company" });
+    }
+
+    // One identifier never stands in for another: every academy the
+    // request reaches must be the same one, and the caller's
+    const academyIds = await findTargetAcademyIds(req);
+    if (academyIds.length > 1) {
+      return res
+        .status(403)
+        .json({ error: "Request refers to more than one academy" });
+    }
+    if (!academyIds.length) {
+      return next();
+    }
+
+    const academy = await Academy.findOne({ academyId: academyIds[0] });
+    if (academy && !canAccessAcademy(apiKey, academy)) {
+      return res.status(403).json({ error: "Not allowed for this academy" });
+    }
+
+    next();
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+};
+
+// Which keys the caller may create, list or revoke
+const canManageKey = async (apiKey, target) => {
+  switch (apiKey.role) {
+    case "admin":
+      return true;
+    case "company_admin": {
+      if (target.role === "admin") return false;
+      if (target.role === "company_admin") {
+        return target.companyId === apiKey.companyId;
+      }
+      const academy = await Academy.findOne({ academyId: target.academyId });
+      return !!academy && academy.companyId === apiKey.companyId;
+    }
+    case "academy_admin":
+      return (
+        ["academy_admin", "scorer"].includes(target.role) &&
+        target.academyId === apiKey.academyId
+      );
+    default:
+      return false;
+  }
+};
+
+const escapeMarkup = (str = "") =>
+  String(str).replace(
+    /[<>&'"]/g,
+    (c) =>
+      ({
+        "<": "&lt;",
+        ">": "&gt;",
+        "&": "&amp;",
+        "'": "&apos;",
+        '"': "&quot;",
+      })[c]
+  );
+
+// OAuth Flow
+const OAUTH_BROWSER_COOKIE = "oauth_browser";
+
+const readCookie = (req, name) =>
+  (req.get("cookie") || "")
+    .split(";")
+    .map((cookie) => cookie.trim().split("="))
+    .find(([key]) => key === name)?.[1];
+
+const publicBaseUrl = (req) =>
+  process.env.PUBLIC_URL || `${req.protocol}://${req.get("host")}`;
+
+// The returned URL is opened in the popup. It goes through /oauth/start on
+// this server, which names the academy or company being connected and only
+// ties the flow to the browser once the user confirms.
+const startOAuthFlow = async (req, target, targetId) => {
+  const state = await createOAuthState({
+    target,
+    targetId,
+    keyId: req.apiKey.keyId,
+  });
+  return `${publicBaseUrl(req)}/oauth/start?state=${encodeURIComponent(state)}`;
+};
+
+// The confirmation must be submitted from our own page, not posted to us by
+// another site on the user's behalf
+const isSameOriginPost = (req) => {
+  const origin = req.get("origin");
+  return origin
+    ? origin === new URL(publicBaseUrl(req)).origin
+    : req.get("sec-fetch-site") === "same-origin";
+};
+
+// The key that started a flow must still exist and still reach its target
+const canFinishOAuthFlow = async ({ keyId, target, targetId }) => {
+  if (keyId === "root") {
+    return !!process.env.ADMIN_API_KEY;
+  }
+  const apiKey = await ApiKey.findOne({ keyId, revokedAt: null });
+  if (!apiKey) {
+    return false;
+  }
+  if (target === "company") {
+    return canAccessCompany(apiKey, targetId);
+  }
+  const academy = await Academy.findOne({ academyId: targetId });
+  return (
+    !!academy &&
+    MANAGE_ROLES.includes(apiKey.role) &&
+    canAccessAcademy(apiKey, academy)
+  );
+};
+
+const describeOAuthTarget = async ({ target, targetId }) => {
+  const doc =
+    target === "company"
+      ? await Company.findOne({ companyId: targetId })
+      : await Academy.findOne({ academyId: targetId });
+  return `${target} ${doc?.name ? `"${doc.name}" ` : ""}(${targetId})`;
+};
+
+const renderOAuthConfirm = (state, description) => `
+      <h1>Connect a YouTube channel</h1>
+      <p>The Google account you pick next will be connected to the ${escapeMarkup(description)}.</p>
+      <p>Only continue if you started this yourself.</p>
+      <form method="post" action="/oauth/start">
+        <input type="hidden" name="state" value="${escapeMarkup(state)}" />
+        <button type="submit">Continue to Google</button>
+      </form>
+    `;
+
+// Only OAUTH_OPENER_ORIGIN is told the result; nothing is posted without it
+const renderOAuthResult = (claimed, title, message) => {
+  const origin = process.env.OAUTH_OPENER_ORIGIN;
+  // "<" is escaped so the JSON cannot close the script tag
+  const toScript = (value) => JSON.stringify(value).replace(/</g, "\\u003c");
+  const notify =
+    claimed && origin
+      ? `
+      <script>
+        if (window.opener) {
+          window.opener.postMessage(${toScript({
+            type: claimed.target,
+            id: claimed.targetId,
+            success: true,
+          })}, ${toScript(origin)});
+          window.close();
+        }
+      </script>`
+      : "";
+
+  return `
+      <h1>${escapeMarkup(title)}</h1>
+      <p>${escapeMarkup(message)}</p>${notify}
+    `;
+};
+
+// Channel Connections
+const CONNECTION_CHECK_SCHEDULE =
+  process.env.CONNECTION_CHECK_CRON || "*/30 * * * *";
+
+// A refresh token that was revoked or expired can only be fixed by the user
+const isReauthError = (error) =>
+  error.response?.data?.error === "invalid_grant" ||
+  error.code === 401 ||
+  error.code === "401";
+
+const oauthClientFor = (doc) =>
+  doc instanceof Company
+    ? createCompanyOAuthClient(doc)
+    : getAcademyOAuthClient(doc);
+
+// A cheap channels.list call tells us whether the token works and whose it is
+const checkConnection = async (doc) => {
+  if (!doc?.youtubeTokens) {
+    return;
+  }
+
+  let connection;
+  try {
+    const response = await getYoutube().channels.list({
+      auth: oauthClientFor(doc),
+      part: "id,snippet",
+      mine: true,
+    });
+    const channel = response.data.items?.[0];
+    if (!channel) {
+      throw new Error("No YouTube channel on this account");
+    }
+    connection = {
+      channelId: channel.id,
+      channelTitle: channel.snippet.title,
+      needsReauth: false,
+      lastCheckedAt: new Date(),
+    };
+  } catch (error) {
+    connection = {
+      ...doc.youtubeConnection?.toObject?.(),
+      needsReauth: isReauthError(error),
+      lastCheckedAt: new Date(),
+      lastError: error.message,
+    };
+  }
+
+  // Only the connection is written, so a document failing validation
+  // elsewhere still gets its status recorded
+  const Model = doc instanceof Company ? Company : Academy;
+  await Model.updateOne({ _id: doc._id }, { youtubeConnection: connection });
+  doc.youtubeConnection = connection;
+};
+
+const checkAllConnections = async () => {
+  try {
+    const docs = [
+      ...(await Company.find({ youtubeTokens: { $ne: null } })),
+      ...(await Academy.find({ youtubeTokens: { $ne: null } })),
+    ];
+    for (const doc of docs) {
+      try {
+        await checkConnection(doc);
+      } catch (error) {
+        console.error(`Error checking connection for ${doc._id}:`, error);
+      }
+    }
+    console.log(`Checked ${docs.length} YouTube connections`);
+  } catch (error) {
+    console.error("Error checking YouTube connections:", error);
+  }
+};
+
+// Revoke the token with Google, then forget it
+const disconnectChannel = async (doc) => {
+  const tokens = decryptTokens(doc.youtubeTokens);
+  if (!getYoutube().isFake) {
+    try {
+      await getOAuthClient().revokeToken(
+        tokens.refresh_token || tokens.access_token
+      );
+    } catch (error) {
+      // Tokens Google already revoked are still cleared below
+      console.log("Error revoking token:", error.message);
+    }
+  }
+
+  doc.youtubeTokens = undefined;
+  doc.youtubeConnection = { needsReauth: false };
+  await doc.save();
+};
+
 // Company Routes
-app.post("/company", async (req, res) => {
-  const { name } = req.body;
+app.post("/companies", allow(["admin"]), async (req, res) => {
+  const { companyId, name } = req.body;
   try {
-    const existingCompany = await Company.findOne();
+    const existingCompany = await Company.findOne({ companyId });
     if (existingCompany) {
       return res.status(400).json({ error: "Company already exists" });
     }
-    const company = new Company({ name });
+    const company = new Company({ companyId, name });
     await company.save();
     res.json(company);
   } catch (error) {
@@ -97,9 +738,18 @@ app.post("/company", async (req, res) => {
   }
 });
 
-app.get("/company", async (req, res) => {
+app.get("/companies", allow(["admin"]), async (req, res) => {
+  try {
+    const companies = await Company.find();
+    res.json(companies);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get("/companies/:companyId", allow(COMPANY_ROLES), async (req, res) => {
   try {
-    const company = await Company.findOne();
+    const company = await Company.findOne({ companyId: req.params.companyId });
     if (!company) {
       return res.status(404).json({ error: "Company not found" });
     }
@@ -109,34 +759,84 @@ app.get("/company", async (req, res) => {
   }
 });
 
-app.get("/company/auth", async (req, res) => {
-  const company = await Company.findOne();
-  if (!company) {
-    return res
-      .status(404)
-      .json({ error: "Company not found. Please create company first." });
+app.get(
+  "/companies/:companyId/academies",
+  allow(COMPANY_ROLES),
+  async (req, res) => {
+    try {
+      const academies = await Academy.find({ companyId: req.params.companyId });
+      res.json(academies);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+app.get(
+  "/companies/:companyId/auth",
+  allow(COMPANY_ROLES),
+  async (req, res) => {
+    const company = await Company.findOne({ companyId: req.params.companyId });
+    if (!company) {
+      return res
+        .status(404)
+        .json({ error: "Company not found. Please create company first." });
+    }
+
+    const authUrl = await startOAuthFlow(req, "company", company.companyId);
+    res.json({ authUrl });
   }
+);
 
-  const oauth2Client = getOAuthClient();
-  const authUrl = oauth2Client.generateAuthUrl({
-    access_type: "offline",
-    scope: SCOPES,
-    prompt: "consent",
-    state: "company",
-  });
-  res.redirect(authUrl);
-});
+app.post(
+  "/companies/:companyId/disconnect",
+  allow(COMPANY_ROLES),
+  async (req, res) => {
+    try {
+      const company = await Company.findOne({
+        companyId: req.params.companyId,
+      });
+      if (!company) {
+        return res.status(404).json({ error: "Company not found" });
+      }
+      if (!company.youtubeTokens) {
+        return res.status(400).json({ error: "Company is not connected" });
+      }
+
+      await disconnectChannel(company);
+      res.json(company);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// Ingest keys are handed to encoders, so they must not be guessable
+const generateStreamKey = () => crypto.randomBytes(18).toString("base64url");
 
 // Academy Routes
-app.post("/academies", async (req, res) => {
+app.post("/academies", allow(COMPANY_ROLES), async (req, res) => {
   try {
     const { academyId, name, grounds } = req.body;
+    // Company admins can only add academies to their own company
+    const companyId =
+      req.apiKey.role === "company_admin"
+        ? req.apiKey.companyId
+        : req.body.companyId;
+    if (!companyId || typeof companyId !== "string") {
+      return res.status(400).json({ error: "companyId is required" });
+    }
+    if (!(await Company.exists({ companyId }))) {
+      return res.status(404).json({ error: "Company not found" });
+    }
+
     const academy = new Academy({
       academyId,
+      companyId,
       name,
       grounds: grounds.map((ground) => ({
         ...ground,
-        streamKey: `${academyId}-${ground.groundId}-${Date.now()}`,
+        streamKey: generateStreamKey(),
       })),
     });
     await academy.save();
@@ -146,7 +846,7 @@ app.post("/academies", async (req, res) => {
   }
 });
 
-app.get("/academies/:academyId", async (req, res) => {
+app.get("/academies/:academyId", allow(ROLES), async (req, res) => {
   try {
     const academy = await Academy.findOne({ academyId: req.params.academyId });
     if (!academy) {
@@ -158,11 +858,31 @@ app.get("/academies/:academyId", async (req, res) => {
   }
 });
 
-app.put("/academies/:academyId", async (req, res) => {
+app.put("/academies/:academyId", allow(MANAGE_ROLES), async (req, res) => {
   try {
+    if (
+      req.body.companyId !== undefined &&
+      !canAccessCompany(req.apiKey, req.body.companyId)
+    ) {
+      return res.status(403).json({ error: "Not allowed for this company" });
+    }
+    if (
+      req.body.companyId !== undefined &&
+      !(await Company.exists({ companyId: req.body.companyId }))
+    ) {
+      return res.status(404).json({ error: "Company not found" });
+    }
+    const settingsError = validateBroadcastSettings(req.body.broadcastSettings);
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError });
+    }
+
+    // Tokens are only ever set through the OAuth flow, and grounds through
+    // the ground routes so stream keys and YouTube streams stay consistent
+    const { youtubeTokens, youtubeConnection, grounds, ...update } = req.body;
     const academy = await Academy.findOneAndUpdate(
       { academyId: req.params.academyId },
-      req.body,
+      update,
       { new: true }
     );
     if (!academy) {
@@ -174,129 +894,322 @@ app.put("/academies/:academyId", async (req, res) => {
   }
 });
 
-app.get("/auth/:academyId", async (req, res) => {
+app.get("/auth/:academyId", allow(MANAGE_ROLES), async (req, res) => {
   try {
     const academy = await Academy.findOne({ academyId: req.params.academyId });
     if (!academy) {
       return res.status(404).json({ error: "Academy not found" });
     }
 
-    const oauth2Client = getOAuthClient();
-    const authUrl = oauth2Client.generateAuthUrl({
-      access_type: "offline",
-      scope: SCOPES,
-      prompt: "consent",
-      state: academy.academyId,
-    });
-    res.redirect(authUrl);
+    const authUrl = await startOAuthFlow(req, "academy", academy.academyId);
+    res.json({ authUrl });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get("/oauth2callback", async (req, res) => {
-  const { code, state } = req.query;
-  const oauth2Client = getOAuthClient();
-
-  try {
-    const { tokens } = await oauth2Client.getToken(code);
+app.post(
+  "/academies/:academyId/disconnect",
+  allow(MANAGE_ROLES),
+  async (req, res) => {
+    try {
+      const academy = await Academy.findOne({
+        academyId: req.params.academyId,
+      });
+      if (!academy) {
+        return res.status(404).json({ error: "Academy not found" });
+      }
+      if (!academy.youtubeTokens) {
+        return res.status(400).json({ error: "Academy is not connected" });
+      }
 
-    if (state === "company") {
-      await Company.findOneAndUpdate(
-        {},
-        { youtubeTokens: tokens },
-        { new: true }
-      );
-    } else {
-      await Academy.findOneAndUpdate(
-        { academyId: state },
-        { youtubeTokens: tokens }
-      );
+      await disconnectChannel(academy);
+      res.json(academy);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
     }
+  }
+);
 
-    res.send(`
-      <h1>Authentication Successful!</h1>
-      <p>You can now close this window.</p>
-      <script>
-        if (window.opener) {
-          window.opener.postMessage({ id: '${state}', success: true }, '*');
-          window.close();
-        }
-      </script>
-    `);
+const invalidOAuthLink = (res) =>
+  res
+    .status(400)
+    .send(
+      renderOAuthResult(
+        null,
+        "Authentication failed.",
+        "This sign-in link is invalid or has expired."
+      )
+    );
+
+// Say what is being connected before anything is bound, so a link sent by
+// someone else cannot connect the user's channel to the sender's account
+app.get("/oauth/start", async (req, res) => {
+  const { state } = req.query;
+
+  try {
+    const pending = await findOAuthState(state);
+    if (!pending) {
+      return invalidOAuthLink(res);
+    }
+    res.send(renderOAuthConfirm(state, await describeOAuthTarget(pending)));
   } catch (error) {
-    res.status(500).send("Authentication failed.");
+    res
+      .status(500)
+      .send(renderOAuthResult(null, "Authentication failed.", error.message));
   }
 });
 
-// Streaming Functions
-const getExistingStream = async (
-  oauth2Client,
-  academy,
-  groundId,
-  isCompanyChannel = false
-) => {
-  const youtube = google.youtube("v3");
-  const ground = academy.grounds.find((g) => g.groundId === groundId);
+app.post(
+  "/oauth/start",
+  express.urlencoded({ extended: false }),
+  async (req, res) => {
+    const { state } = req.body;
 
-  if (!ground) {
-    throw new Error("Ground not found");
-  }
+    try {
+      if (!isSameOriginPost(req)) {
+        return res
+          .status(403)
+          .send(
+            renderOAuthResult(
+              null,
+              "Authentication failed.",
+              "Please confirm from the sign-in page."
+            )
+          );
+      }
 
-  const streamId = isCompanyChannel
-    ? ground.companyStreamId
-    : ground.academyStreamId;
-  const streamName = isCompanyChannel
-    ? `${academy.name}:${ground.title.replace(/\s+/g, "")}`
-    : ground.streamKey;
+      const browserNonce = await bindOAuthState(state);
+      if (!browserNonce) {
+        return invalidOAuthLink(res);
+      }
 
-  if (streamId) {
-    try {
-      const streamResponse = await youtube.liveStreams.list({
-        auth: oauth2Client,
-        part: "id,snippet,cdn",
-        id: streamId,
+      res.cookie(OAUTH_BROWSER_COOKIE, browserNonce, {
+        httpOnly: true,
+        secure: req.secure,
+        sameSite: "lax",
+        maxAge: 10 * 60 * 1000,
+        path: "/oauth2callback",
       });
 
-      if (streamResponse.data.items.length > 0) {
-        const existingStream = streamResponse.data.items[0];
-        return {
-          streamId: existingStream.id,
-          streamKey: existingStream.cdn.ingestionInfo.streamName,
-          ingestionAddress: existingStream.cdn.ingestionInfo.ingestionAddress,
-          streamDetails: {
-            resolution: existingStream.cdn.resolution,
-            frameRate: existingStream.cdn.frameRate,
-            ingestionType: existingStream.cdn.ingestionType,
-          },
-        };
-      }
+      const authUrl = getOAuthClient().generateAuthUrl({
+        access_type: "offline",
+        scope: SCOPES,
+        prompt: "consent",
+        state,
+      });
+      res.redirect(303, authUrl);
     } catch (error) {
-      console.log("Error fetching existing stream:", error);
+      res
+        .status(500)
+        .send(renderOAuthResult(null, "Authentication failed.", error.message));
     }
   }
+);
+
+app.get("/oauth2callback", async (req, res) => {
+  const { code, state } = req.query;
+  const oauth2Client = getOAuthClient();
+
+  try {
+    const claimed = await claimOAuthState(
+      state,
+      readCookie(req, OAUTH_BROWSER_COOKIE)
+    );
+    res.clearCookie(OAUTH_BROWSER_COOKIE, { path: "/oauth2callback" });
+    if (!claimed) {
+      return res
+        .status(400)
+        .send(
+          renderOAuthResult(
+            null,
+            "Authentication failed.",
+            "This sign-in link is invalid, expired, already used or was opened in another browser."
+          )
+        );
+    }
+    if (!(await canFinishOAuthFlow(claimed))) {
+      return res
+        .status(403)
+        .send(
+          renderOAuthResult(
+            null,
+            "Authentication failed.",
+            "The key that started this sign-in can no longer connect this channel."
+          )
+        );
+    }
+
+    const { tokens } = await oauth2Client.getToken(code);
+
+    const connected =
+      claimed.target === "company"
+        ? await Company.findOneAndUpdate(
+            { companyId: claimed.targetId },
+            { youtubeTokens: encryptTokens(tokens) },
+            { new: true }
+          )
+        : await Academy.findOneAndUpdate(
+            { academyId: claimed.targetId },
+            { youtubeTokens: encryptTokens(tokens) },
+            { new: true }
+          );
+    // Record the channel right away so a wrong account shows up immediately
+    await checkConnection(connected);
+
+    res.send(
+      renderOAuthResult(
+        claimed,
+        "Authentication Successful!",
+        "You can now close this window."
+      )
+    );
+  } catch (error) {
+    res.status(500).send(renderOAuthResult(null, "Authentication failed.", ""));
+  }
+});
+
+// Streaming Functions
+const BOOLEAN_BROADCAST_SETTINGS = ["madeForKids", "enableDvr", "embeddable"];
+
+// Returns an error message for the first invalid setting, if any
+const validateBroadcastSettings = (settings) => {
+  if (settings === undefined || settings === null) {
+    return null;
+  }
+  if (typeof settings !== "object" || Array.isArray(settings)) {
+    return "broadcastSettings must be an object";
+  }
+  for (const [key, value] of Object.entries(settings)) {
+    if (value === undefined || value === null) {
+      continue;
+    }
+    if (BROADCAST_SETTING_OPTIONS[key]) {
+      if (!BROADCAST_SETTING_OPTIONS[key].includes(value)) {
+        return `${key} must be one of ${BROADCAST_SETTING_OPTIONS[key].join(", ")}`;
+      }
+    } else if (BOOLEAN_BROADCAST_SETTINGS.includes(key)) {
+      if (typeof value !== "boolean") {
+        return `${key} must be true or false`;
+      }
+    } else if (key !== "categoryId") {
+      return `Unknown broadcast setting ${key}`;
+    }
+  }
+  return null;
+};
+
+const setSettings = (settings) =>
+  Object.fromEntries(
+    Object.entries(settings || {}).filter(
+      ([, value]) => value !== undefined && value !== null
+    )
+  );
+
+const resolveBroadcastSettings = (academy, groundId, overrides) => {
+  const ground = academy.grounds.find((g) => g.groundId === groundId);
+  return {
+    ...DEFAULT_BROADCAST_SETTINGS,
+    ...setSettings(academy.toObject().broadcastSettings),
+    ...setSettings(ground?.toObject().broadcastSettings),
+    ...setSettings(overrides),
+  };
+};
+
+const toStreamDetails = (stream) => ({
+  streamId: stream.id,
+  streamKey: stream.cdn.ingestionInfo.streamName,
+  ingestionAddress: stream.cdn.ingestionInfo.ingestionAddress,
+  streamDetails: {
+    resolution: stream.cdn.resolution,
+    frameRate: stream.cdn.frameRate,
+    ingestionType: stream.cdn.ingestionType,
+  },
+});
+
+// A stream's ingestion settings are fixed, so a change needs a new stream
+const INGESTION_SETTINGS = ["resolution", "frameRate", "ingestionType"];
+const sameIngestion = (cdn, settings) =>
+  INGESTION_SETTINGS.every((key) => cdn[key] === settings[key]);
+
+const insertStream = (oauth2Client, title, settings, streamName) =>
+  getYoutube().liveStreams.insert({
+    auth: oauth2Client,
+    part: "snippet,cdn,contentDetails,status",
+    requestBody: {
+      snippet: { title },
+      cdn: {
+        ingestionType: settings.ingestionType,
+        resolution: settings.resolution,
+        frameRate: settings.frameRate,
+        ...(streamName && { ingestionInfo: { streamName } }),
+      },
+    },
+  });
+
+const getExistingStream = async (
+  oauth2Client,
+  academy,
+  groundId,
+  isCompanyChannel = false,
+  settings = resolveBroadcastSettings(academy, groundId)
+) => {
+  const youtube = getYoutube();
+  const ground = academy.grounds.find((g) => g.groundId === groundId);
+
+  if (!ground) {
+    throw new Error("Ground not found");
+  }
+
+  // A match that overrides the ground's ingestion settings gets a stream of
+  // its own, so the ground's stream and encoder key stay as they are
+  const groundSettings = resolveBroadcastSettings(academy, groundId);
+  if (!sameIngestion(settings, groundSettings)) {
+    const streamResponse = await insertStream(
+      oauth2Client,
+      `${ground.title} - Match Stream`,
+      settings
+    );
+    return { ...toStreamDetails(streamResponse.data), dedicatedStream: true };
+  }
+
+  const updateField = isCompanyChannel ? "companyStreamId" : "academyStreamId";
+  const streamId = ground[updateField];
+  const streamName = isCompanyChannel
+    ? `${academy.name}:${ground.title.replace(/\s+/g, "")}`
+    : ground.streamKey;
+
+  let replacedStreamId;
+  if (streamId) {
+    try {
+      const streamResponse = await youtube.liveStreams.list({
+        auth: oauth2Client,
+        part: "id,snippet,cdn",
+        id: streamId,
+      });
+
+      const existingStream = streamResponse.data.items[0];
+      if (existingStream && sameIngestion(existingStream.cdn, settings)) {
+        return toStreamDetails(existingStream);
+      }
+      if (existingStream) {
+        console.log(`Replacing stream ${streamId} for new ingestion settings`);
+        replacedStreamId = streamId;
+      }
+    } catch (error) {
+      console.log("Error fetching existing stream:", error);
+    }
+  }
+
+  const streamResponse = await insertStream(
+    oauth2Client,
+    isCompanyChannel
+      ? `${academy.name} - ${ground.title}`
+      : `${ground.title} - Stream`,
+    settings,
+    streamName
+  );
 
-  const streamResponse = await youtube.liveStreams.insert({
-    auth: oauth2Client,
-    part: "snippet,cdn,contentDetails,status",
-    requestBody: {
-      snippet: {
-        title: isCompanyChannel
-          ? `${academy.name} - ${ground.title}`
-          : `${ground.title} - Stream`,
-      },
-      cdn: {
-        ingestionType: "rtmp",
-        resolution: "1080p",
-        frameRate: "30fps",
-        ingestionInfo: {
-          streamName: streamName,
-        },
-      },
-    },
-  });
-
-  const updateField = isCompanyChannel ? "companyStreamId" : "academyStreamId";
   await Academy.findOneAndUpdate(
     {
       academyId: academy.academyId,
@@ -309,16 +1222,20 @@ const getExistingStream = async (
     }
   );
 
-  return {
-    streamId: streamResponse.data.id,
-    streamKey: streamResponse.data.cdn.ingestionInfo.streamName,
-    ingestionAddress: streamResponse.data.cdn.ingestionInfo.ingestionAddress,
-    streamDetails: {
-      resolution: streamResponse.data.cdn.resolution,
-      frameRate: streamResponse.data.cdn.frameRate,
-      ingestionType: streamResponse.data.cdn.ingestionType,
-    },
-  };
+  // The ground's settings changed. Drop the old stream unless a match still
+  // holds a broadcast bound to it, and say the encoder key has changed.
+  if (replacedStreamId) {
+    const inUse = await Match.exists({
+      [updateField]: replacedStreamId,
+      status: { $in: GROUND_BUSY_STATUSES },
+    });
+    if (!inUse) {
+      await deleteStream(oauth2Client, replacedStreamId);
+    }
+    return { ...toStreamDetails(streamResponse.data), replacedStreamId };
+  }
+
+  return toStreamDetails(streamResponse.data);
 };
 
 async function createBroadcastAndBind(
@@ -329,15 +1246,17 @@ async function createBroadcastAndBind(
   teamA,
   teamB,
   isCompanyChannel = false,
-  startTime = new Date()
+  startTime = new Date(),
+  settings = resolveBroadcastSettings(academy, groundId)
 ) {
-  const youtube = google.youtube("v3");
+  const youtube = getYoutube();
 
   const streamDetails = await getExistingStream(
     oauth2Client,
     academy,
     groundId,
-    isCompanyChannel
+    isCompanyChannel,
+    settings
   );
 
   const broadcastResponse = await youtube.liveBroadcasts.insert({
@@ -350,14 +1269,16 @@ async function createBroadcastAndBind(
         scheduledStartTime: new Date(startTime).toISOString(),
       },
       status: {
-        privacyStatus: "public",
-        selfDeclaredMadeForKids: false,
+        privacyStatus: settings.privacyStatus,
+        selfDeclaredMadeForKids: settings.madeForKids,
       },
       contentDetails: {
         monitorStream: { enableMonitorStream: true },
         enableAutoStart: false,
         enableAutoStop: false,
-        enableDvr: true,
+        enableDvr: settings.enableDvr,
+        enableEmbed: settings.embeddable,
+        latencyPreference: settings.latencyPreference,
         recordFromStart: true,
         enableContentEncryption: false,
         startWithSlate: false,
@@ -366,12 +1287,46 @@ async function createBroadcastAndBind(
     },
   });
 
-  await youtube.liveBroadcasts.bind({
-    auth: oauth2Client,
-    part: "id,contentDetails",
-    id: broadcastResponse.data.id,
-    streamId: streamDetails.streamId,
-  });
+  try {
+    await youtube.liveBroadcasts.bind({
+      auth: oauth2Client,
+      part: "id,contentDetails",
+      id: broadcastResponse.data.id,
+      streamId: streamDetails.streamId,
+    });
+  } catch (error) {
+    // An unbound broadcast is useless, so don't leave it on the channel
+    await youtube.liveBroadcasts
+      .delete({ auth: oauth2Client, id: broadcastResponse.data.id })
+      .catch((deleteError) =>
+        console.log("Error deleting unbound broadcast:", deleteError.message)
+      );
+    if (streamDetails.dedicatedStream) {
+      await deleteStream(oauth2Client, streamDetails.streamId);
+    }
+    throw error;
+  }
+
+  // Broadcasts have no category of their own; it lives on the video. An
+  // update replaces the whole snippet, so everything set above goes again.
+  if (settings.categoryId) {
+    try {
+      await youtube.videos.update({
+        auth: oauth2Client,
+        part: "snippet",
+        requestBody: {
+          id: broadcastResponse.data.id,
+          snippet: {
+            title,
+            description: `${teamA} vs ${teamB}`,
+            categoryId: settings.categoryId,
+          },
+        },
+      });
+    } catch (error) {
+      console.log("Error setting broadcast category:", error.message);
+    }
+  }
 
   return {
     academyId: academy.academyId,
@@ -381,314 +1336,3073 @@ async function createBroadcastAndBind(
   };
 }
 
-// Streaming Routes
-app.post("/go-live-now", async (req, res) => {
-  const { academyId, groundId, title, teamA, teamB, startTime } = req.body;
-
-  try {
-    const academy = await Academy.findOne({ academyId });
-    if (!academy || !academy.youtubeTokens) {
-      return res.status(400).json({
-        success: false,
-        message: "Academy not authenticated",
-      });
-    }
-
-    console.log("Starting stream:", title);
-    const academyOAuth2Client = getOAuthClient();
-    academyOAuth2Client.setCredentials(academy.youtubeTokens);
-    const academyResult = await createBroadcastAndBind(
-      academyOAuth2Client,
-      academy,
-      groundId,
-      title,
-      teamA,
-      teamB,
-      false,
-      startTime
-    );
+const MAX_RETRIES = 3;
+const DELAY_BETWEEN_RETRIES = 5000; // 5 seconds
 
-    const companyOAuth2Client = await getCompanyOAuthClient();
-    const companyResult = await createBroadcastAndBind(
-      companyOAuth2Client,
-      academy,
-      groundId,
-      title,
-      teamA,
-      teamB,
-      true,
-      startTime
-    );
+// Check broadcast lifecycle and bound stream health
+const checkStreamHealth = async (oauth2Client, broadcastId) => {
+  const youtube = getYoutube();
+  const streamResponse = await youtube.liveBroadcasts.list({
+    auth: oauth2Client,
+    part: "status,contentDetails",
+    id: broadcastId,
+  });
 
-    res.json({
-      success: true,
-      academyStream: academyResult,
-      companyStream: companyResult,
-    });
-  } catch (error) {
-    res.status(500).json({ success: false, message: error.message });
+  if (!streamResponse.data.items.length) {
+    throw new Error("Broadcast not found");
   }
-});
 
-app.post("/end-stream", async (req, res) => {
-  const { academyId, title } = req.body;
-  function compareStrings(str1, str2) {
-    const normalize = (str) => str.trim().replace(/\s+/g, " ");
-    return normalize(str1) === normalize(str2);
-  }
+  const broadcast = streamResponse.data.items[0];
 
-  try {
-    const academy = await Academy.findOne({ academyId });
-    if (!academy || !academy.youtubeTokens) {
-      return res.status(400).json({ error: "Academy not authenticated" });
-    }
+  // Get stream details
+  const streamDetailsResponse = await youtube.liveStreams.list({
+    auth: oauth2Client,
+    part: "status",
+    id: broadcast.contentDetails.boundStreamId,
+  });
 
-    const academyOAuth2Client = getOAuthClient();
-    academyOAuth2Client.setCredentials(academy.youtubeTokens);
+  if (!streamDetailsResponse.data.items.length) {
+    throw new Error("Stream not found");
+  }
 
-    const companyOAuth2Client = await getCompanyOAuthClient();
-    const youtube = google.youtube("v3");
+  const stream = streamDetailsResponse.data.items[0];
 
-    const endBroadcast = async (auth, isCompanyChannel) => {
-      const searchResponse = await youtube.liveBroadcasts.list({
-        auth,
-        part: "id,snippet",
-        broadcastStatus: "active",
-        broadcastType: "all",
-      });
+  return {
+    broadcastStatus: broadcast.status.lifeCycleStatus,
+    streamStatus: stream.status.streamStatus,
+    healthStatus: stream.status.healthStatus?.status || null,
+  };
+};
 
-      const broadcast = searchResponse.data.items.find((b) =>
-        compareStrings(b.snippet.title, title)
-      );
+// Attempt transition to live, going through testing first. report() gets
+// each attempt's progress and health when this runs as a job. beforeLive()
+// is awaited once the broadcast is testing; if it throws, nothing is retried.
+const transitionToLive = async (
+  oauth2Client,
+  broadcastId,
+  retryCount = 0,
+  report = () => {},
+  beforeLive = async () => {}
+) => {
+  const youtube = getYoutube();
+  report({
+    attempts: retryCount + 1,
+    progress: `Checking stream health (attempt ${retryCount + 1})`,
+  });
+  const health = await checkStreamHealth(oauth2Client, broadcastId);
+  report({ lastHealth: health });
 
-      console.log("Ending broadcast:", title);
-      if (broadcast) {
-        await youtube.liveBroadcasts.transition({
-          auth,
-          part: "status",
-          id: broadcast.id,
-          broadcastStatus: "complete",
-        });
-        return true;
-      }
-      console.log("Broadcast not found");
-      return false;
+  if (health.broadcastStatus === "live") {
+    return {
+      success: true,
+      message: "Broadcast is already live",
+      status: health.broadcastStatus,
     };
+  }
 
-    const [academyEnded, companyEnded] = await Promise.all([
-      endBroadcast(academyOAuth2Client, false),
-      endBroadcast(companyOAuth2Client, true),
-    ]);
-
-    res.json({
-      success: true,
-      academyStreamEnded: academyEnded,
-      companyStreamEnded: companyEnded,
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+  if (health.streamStatus !== "active") {
+    throw new Error(
+      `Stream is not active. Current status: ${health.streamStatus}`
+    );
   }
-});
 
-app.get("/check-stream-status", async (req, res) => {
-  const { academyId, broadcastId, isCompanyChannel } = req.query;
+  if (health.healthStatus !== "good") {
+    throw new Error(
+      `Stream health is not good. Current health: ${health.healthStatus}`
+    );
+  }
 
   try {
-    const academy = await Academy.findOne({ academyId });
-    if (!academy) {
-      return res.status(404).json({ error: "Academy not found" });
-    }
+    // Ensure we're in testing state first
+    if (health.broadcastStatus !== "testing") {
+      report({ progress: "Moving broadcast to testing" });
+      await youtube.liveBroadcasts.transition({
+        auth: oauth2Client,
+        broadcastStatus: "testing",
+        id: broadcastId,
+        part: "id,status",
+      });
 
-    const oauth2Client =
-      isCompanyChannel === "true"
-        ? await getCompanyOAuthClient()
-        : (() => {
-            const client = getOAuthClient();
-            client.setCredentials(academy.youtubeTokens);
-            return client;
-          })();
+      // Wait for testing state to stabilize
+      await new Promise((resolve) => setTimeout(resolve, 3000));
+    }
 
-    const youtube = google.youtube("v3");
+    await beforeLive().catch((error) => {
+      error.noRetry = true;
+      throw error;
+    });
 
-    const broadcastResponse = await youtube.liveBroadcasts.list({
+    // Now try to go live
+    report({ progress: "Moving broadcast to live" });
+    const result = await youtube.liveBroadcasts.transition({
       auth: oauth2Client,
-      part: "status,snippet,contentDetails",
+      broadcastStatus: "live",
       id: broadcastId,
+      part: "id,status",
     });
 
-    if (!broadcastResponse.data.items.length) {
-      return res.status(404).json({ error: "Broadcast not found" });
+    return {
+      success: true,
+      message: "Stream started successfully",
+      status: result.data.status.lifeCycleStatus,
+    };
+  } catch (error) {
+    if (retryCount < MAX_RETRIES && !error.noRetry) {
+      // Wait before retrying
+      report({ progress: `Retrying after: ${error.message}` });
+      await new Promise((resolve) =>
+        setTimeout(resolve, DELAY_BETWEEN_RETRIES)
+      );
+      return transitionToLive(
+        oauth2Client,
+        broadcastId,
+        retryCount + 1,
+        report,
+        beforeLive
+      );
     }
+    throw error;
+  }
+};
 
-    const broadcast = broadcastResponse.data.items[0];
-    const streamResponse = await youtube.liveStreams.list({
-      auth: oauth2Client,
-      part: "status,snippet,cdn",
-      id: broadcast.contentDetails.boundStreamId,
-    });
-
-    if (!streamResponse.data.items.length) {
-      return res.status(404).json({ error: "Stream not found" });
-    }
+const completeBroadcast = async (oauth2Client, broadcastId) => {
+  const youtube = getYoutube();
+  await youtube.liveBroadcasts.transition({
+    auth: oauth2Client,
+    part: "status",
+    id: broadcastId,
+    broadcastStatus: "complete",
+  });
+};
 
-    const stream = streamResponse.data.items[0];
+// End one channel's broadcast, skipping one that is already over or never
+// went out. Never throws, so one channel failing cannot keep the other
+// from ending; getClient is only called when there is something to end.
+const endChannelBroadcast = async (getClient, broadcastId) => {
+  if (!broadcastId) {
+    return { status: "missing" };
+  }
 
-    return res.json({
-      broadcastStatus: broadcast.status.lifeCycleStatus,
-      streamStatus: stream.status.streamStatus,
-      healthStatus: stream.status.healthStatus,
-      isReadyToStart:
-        stream.status.streamStatus === "active" &&
-        (broadcast.status.lifeCycleStatus === "testing" ||
-          broadcast.status.lifeCycleStatus === "ready"),
+  try {
+    const auth = await getClient();
+    const response = await getYoutube().liveBroadcasts.list({
+      auth,
+      part: "id,status",
+      id: broadcastId,
     });
+    const lifeCycleStatus = response.data.items[0]?.status.lifeCycleStatus;
+    if (!lifeCycleStatus) {
+      return { status: "failed", error: "Broadcast not found" };
+    }
+    if (["complete", "revoked"].includes(lifeCycleStatus)) {
+      return { status: "alreadyComplete" };
+    }
+    if (["created", "ready"].includes(lifeCycleStatus)) {
+      return { status: "notStarted" };
+    }
+
+    console.log("Ending broadcast:", broadcastId);
+    await completeBroadcast(auth, broadcastId);
+    return { status: "ended" };
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    console.error(`Error ending broadcast ${broadcastId}:`, error);
+    return { status: "failed", error: error.message };
   }
+};
+
+const isBroadcastOver = (result) =>
+  ["ended", "alreadyComplete"].includes(result.status);
+
+// Clients are only fetched for a channel that needs one, so a broken
+// company connection does not stop the academy broadcast ending
+const channelClientGetters = (academy) => ({
+  academy: async () => getAcademyOAuthClient(academy),
+  company: () => getCompanyOAuthClient(academy),
 });
 
-app.post("/start-stream", async (req, res) => {
-  const { academyId, broadcastId, isCompanyChannel } = req.body;
-  const MAX_RETRIES = 3;
-  const DELAY_BETWEEN_RETRIES = 5000; // 5 seconds
+// Once the academy broadcast is over the match is complete, whatever
+// happened to the mirror; a mirror that could not be ended is recorded
+// on its destination
+const completeEndedMatch = async (match, channels) => {
+  if (
+    channels.academy.status === "failed" ||
+    !Object.values(channels).some(isBroadcastOver)
+  ) {
+    return false;
+  }
+  if (channels.company.status === "failed") {
+    setDestinationStatus(
+      match,
+      "youtube-company",
+      "failed",
+      channels.company.error
+    );
+  }
+  if (match.status === "complete") {
+    await match.save();
+    return true;
+  }
 
-  try {
-    const academy = await Academy.findOne({ academyId });
-    if (!academy) {
-      return res.status(404).json({ error: "Academy not found" });
-    }
+  cancelMatchJobs(match.matchId);
+  match.status = "complete";
+  match.completedAt = new Date();
+  await match.save();
+  await writeFinalScore(match);
+  return true;
+};
 
-    const oauth2Client = isCompanyChannel
-      ? await getCompanyOAuthClient()
-      : (() => {
-          const client = getOAuthClient();
-          client.setCredentials(academy.youtubeTokens);
-          return client;
-        })();
-
-    const youtube = google.youtube("v3");
-
-    // Function to check stream health
-    const checkStreamHealth = async () => {
-      const streamResponse = await youtube.liveBroadcasts.list({
-        auth: oauth2Client,
-        part: "status,contentDetails",
-        id: broadcastId,
-      });
+const setMatchBroadcasts = (match, academyResult, companyResult) => {
+  match.academyBroadcastId = academyResult.broadcastId;
+  match.academyStreamId = academyResult.streamId;
+  match.companyBroadcastId = companyResult.broadcastId;
+  match.companyStreamId = companyResult.streamId;
+  match.broadcastsCreatedAt = new Date();
+  match.status = "created";
+};
 
-      if (!streamResponse.data.items.length) {
-        throw new Error("Broadcast not found");
-      }
+// Look up a match and the broadcast it holds for the requested channel
+const findMatchBroadcast = async (matchId, isCompanyChannel) => {
+  const match = await Match.findOne({ matchId });
+  if (!match) {
+    return null;
+  }
+  return {
+    match,
+    academyId: match.academyId,
+    broadcastId: isCompanyChannel
+      ? match.companyBroadcastId
+      : match.academyBroadcastId,
+  };
+};
 
-      const broadcast = streamResponse.data.items[0];
+const MATCH_CHANNELS = ["academy", "company"];
+const GO_LIVE_FAILURE_POLICIES = ["rollback", "keep"];
 
-      // Get stream details
-      const streamDetailsResponse = await youtube.liveStreams.list({
-        auth: oauth2Client,
-        part: "status",
-        id: broadcast.contentDetails.boundStreamId,
-      });
+const getChannelClient = (academy, channel) =>
+  channel === "company"
+    ? getCompanyOAuthClient(academy)
+    : getAcademyOAuthClient(academy);
 
-      if (!streamDetailsResponse.data.items.length) {
-        throw new Error("Stream not found");
+// Create whichever of the match's broadcasts are still missing, one channel
+// at a time, recording each step. Stops at the first failure and returns it
+// with what exists so far, so the caller can roll back or resume later.
+const createChannelBroadcasts = async (match, academy, settings) => {
+  const results = {};
+
+  for (const channel of MATCH_CHANNELS) {
+    const broadcastId = match[`${channel}BroadcastId`];
+    try {
+      const oauth2Client = await getChannelClient(academy, channel);
+
+      if (broadcastId) {
+        const streamResponse = await getYoutube().liveStreams.list({
+          auth: oauth2Client,
+          part: "id,cdn",
+          id: match[`${channel}StreamId`],
+        });
+        if (!streamResponse.data.items.length) {
+          throw new Error("Stream not found");
+        }
+        results[channel] = {
+          academyId: academy.academyId,
+          groundId: match.groundId,
+          broadcastId,
+          ...toStreamDetails(streamResponse.data.items[0]),
+        };
+        continue;
+      }
+
+      const result = await createBroadcastAndBind(
+        oauth2Client,
+        academy,
+        match.groundId,
+        match.title,
+        match.teamA,
+        match.teamB,
+        channel === "company",
+        match.startTime,
+        settings
+      );
+      match[`${channel}BroadcastId`] = result.broadcastId;
+      match[`${channel}StreamId`] = result.streamId;
+      match[`${channel}StreamDedicated`] = result.dedicatedStream;
+      match.broadcastSteps.push({
+        channel,
+        action: "create",
+        status: "succeeded",
+        broadcastId: result.broadcastId,
+      });
+      results[channel] = result;
+    } catch (error) {
+      console.error(`Error creating ${channel} broadcast:`, error);
+      match.broadcastSteps.push({
+        channel,
+        action: "create",
+        status: "failed",
+        broadcastId,
+        error: error.message,
+      });
+      return { results, error };
+    }
+  }
+
+  return { results };
+};
+
+// Delete a stream that was created for this match alone. Ground streams
+// are reused and stay.
+const releaseMatchStream = async (match, channel, oauth2Client) => {
+  if (!match[`${channel}StreamDedicated`]) {
+    return;
+  }
+  await deleteStream(oauth2Client, match[`${channel}StreamId`]);
+  match[`${channel}StreamDedicated`] = undefined;
+};
+
+// Release the dedicated streams of channels whose broadcast is over
+const releaseEndedStreams = async (match, channels, clients) => {
+  for (const channel of MATCH_CHANNELS) {
+    if (
+      !match[`${channel}StreamDedicated`] ||
+      !isBroadcastOver(channels[channel])
+    ) {
+      continue;
+    }
+    try {
+      await releaseMatchStream(match, channel, await clients[channel]());
+    } catch (error) {
+      console.error(`Error releasing ${channel} stream:`, error);
+    }
+  }
+};
+
+// Delete the broadcasts a failed go-live left behind, along with any stream
+// made for the match alone
+const rollbackMatchBroadcasts = async (match, academy) => {
+  for (const channel of MATCH_CHANNELS) {
+    const broadcastId = match[`${channel}BroadcastId`];
+    if (!broadcastId) {
+      continue;
+    }
+
+    try {
+      const oauth2Client = await getChannelClient(academy, channel);
+      await getYoutube().liveBroadcasts.delete({
+        auth: oauth2Client,
+        id: broadcastId,
+      });
+      await releaseMatchStream(match, channel, oauth2Client);
+      match[`${channel}BroadcastId`] = undefined;
+      match[`${channel}StreamId`] = undefined;
+      match.broadcastSteps.push({
+        channel,
+        action: "rollback",
+        status: "succeeded",
+        broadcastId,
+      });
+    } catch (error) {
+      console.error(`Error rolling back ${channel} broadcast:`, error);
+      match.broadcastSteps.push({
+        channel,
+        action: "rollback",
+        status: "failed",
+        broadcastId,
+        error: error.message,
+      });
+    }
+  }
+};
+
+// Where each channel ended up, from its latest step
+const channelResults = (match) =>
+  Object.fromEntries(
+    MATCH_CHANNELS.map((channel) => {
+      const step = match.broadcastSteps
+        .filter((s) => s.channel === channel)
+        .at(-1);
+      const status = !step
+        ? "pending"
+        : step.action === "rollback"
+          ? step.status === "succeeded"
+            ? "rolledBack"
+            : "rollbackFailed"
+          : step.status === "succeeded"
+            ? "created"
+            : "failed";
+      return [
+        channel,
+        {
+          status,
+          broadcastId: match[`${channel}BroadcastId`] || step?.broadcastId,
+          error: step?.error,
+        },
+      ];
+    })
+  );
+
+// Mark the match ready once both channels exist and build the response
+const completeGoLive = (req, match, academy, results, settings) => {
+  match.error = undefined;
+  setMatchBroadcasts(match, results.academy, results.company);
+  const ground = academy.grounds.find((g) => g.groundId === match.groundId);
+  const destinations = prepareMatchDestinations(match, ground, results);
+
+  return {
+    success: true,
+    matchId: match.matchId,
+    broadcastSettings: settings,
+    academyStream: results.academy,
+    companyStream: results.company,
+    channels: channelResults(match),
+    destinations,
+    // With the relay on, the encoder pushes once here instead
+    relay: isRelayEnabled() ? relayIngest(req, ground) : undefined,
+  };
+};
+
+// Ground Routes
+const GROUND_BUSY_STATUSES = ["partial", "created", "live"];
+
+// Clients for whichever of the ground's channels are connected
+const getGroundClients = async (academy) => {
+  const company = await findAcademyCompany(academy);
+  return {
+    academy: academy.youtubeTokens ? getAcademyOAuthClient(academy) : null,
+    company: company?.youtubeTokens ? createCompanyOAuthClient(company) : null,
+  };
+};
+
+const deleteStream = async (oauth2Client, streamId) => {
+  try {
+    await getYoutube().liveStreams.delete({ auth: oauth2Client, id: streamId });
+  } catch (error) {
+    console.log(`Error deleting stream ${streamId}:`, error.message);
+  }
+};
+
+const groundChannels = (clients) => [
+  { client: clients.academy, field: "academyStreamId", isCompany: false },
+  { client: clients.company, field: "companyStreamId", isCompany: true },
+];
+
+// Move the broadcasts of upcoming matches from the old stream to the new
+// one. Returns false if any could not be moved.
+const rebindGroundMatches = async (
+  oauth2Client,
+  field,
+  oldStreamId,
+  stream
+) => {
+  const channel = field === "companyStreamId" ? "company" : "academy";
+  const matches = await Match.find({
+    [field]: oldStreamId,
+    status: { $in: GROUND_BUSY_STATUSES },
+  });
+
+  let moved = true;
+  for (const match of matches) {
+    try {
+      await getYoutube().liveBroadcasts.bind({
+        auth: oauth2Client,
+        part: "id,contentDetails",
+        id: match[`${channel}BroadcastId`],
+        streamId: stream.streamId,
+      });
+      match[field] = stream.streamId;
+      await match.save();
+    } catch (error) {
+      console.error(`Error moving ${match.matchId} to the new stream:`, error);
+      moved = false;
+    }
+  }
+  return moved;
+};
+
+// Give the ground a new key and new streams, then drop the old streams once
+// nothing is bound to them. Channels that are not connected get their
+// stream on the next go-live.
+const rotateGroundStreams = async (academy, ground) => {
+  const clients = await getGroundClients(academy);
+  ground.streamKey = generateStreamKey();
+
+  for (const { client, field, isCompany } of groundChannels(clients)) {
+    const oldStreamId = ground[field];
+    ground[field] = undefined;
+    if (!client) {
+      continue;
+    }
+
+    const stream = await getExistingStream(
+      client,
+      academy,
+      ground.groundId,
+      isCompany
+    );
+    ground[field] = stream.streamId;
+    if (
+      oldStreamId &&
+      (await rebindGroundMatches(client, field, oldStreamId, stream))
+    ) {
+      await deleteStream(client, oldStreamId);
+    }
+  }
+  await academy.save();
+};
+
+const findGround = async (academyId, groundId) => {
+  const academy = await Academy.findOne({ academyId });
+  const ground = academy?.grounds.find((g) => g.groundId === groundId);
+  return { academy, ground };
+};
+
+const isGroundBusy = (academyId, groundId, statuses = GROUND_BUSY_STATUSES) =>
+  Match.exists({ academyId, groundId, status: { $in: statuses } });
+
+// Imported fixtures hold their broadcasts long before they are played, so
+// only matches about to start or running have an encoder using the ground
+const isGroundStreaming = (academyId, groundId) =>
+  Match.exists({
+    academyId,
+    groundId,
+    status: { $in: GROUND_BUSY_STATUSES },
+    startTime: { $lte: new Date(Date.now() + BROADCAST_LEAD_TIME) },
+  });
+
+app.post(
+  "/academies/:academyId/grounds",
+  allow(MANAGE_ROLES),
+  async (req, res) => {
+    try {
+      const { groundId, title, broadcastSettings } = req.body;
+      if (!groundId || !title) {
+        return res
+          .status(400)
+          .json({ error: "groundId and title are required" });
+      }
+      const settingsError = validateBroadcastSettings(broadcastSettings);
+      if (settingsError) {
+        return res.status(400).json({ error: settingsError });
+      }
+
+      const academy = await Academy.findOne({
+        academyId: req.params.academyId,
+      });
+      if (!academy) {
+        return res.status(404).json({ error: "Academy not found" });
+      }
+      if (academy.grounds.some((g) => g.groundId === groundId)) {
+        return res.status(409).json({ error: "Ground already exists" });
+      }
+
+      academy.grounds.push({
+        groundId,
+        title,
+        streamKey: generateStreamKey(),
+        broadcastSettings,
+      });
+      await academy.save();
+      res.json(academy.grounds.at(-1));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+app.put(
+  "/academies/:academyId/grounds/:groundId",
+  allow(MANAGE_ROLES),
+  async (req, res) => {
+    try {
+      const { title, broadcastSettings } = req.body;
+      if (!title && !broadcastSettings) {
+        return res
+          .status(400)
+          .json({ error: "title or broadcastSettings is required" });
+      }
+      const settingsError = validateBroadcastSettings(broadcastSettings);
+      if (settingsError) {
+        return res.status(400).json({ error: settingsError });
+      }
+
+      const { academy, ground } = await findGround(
+        req.params.academyId,
+        req.params.groundId
+      );
+      if (!ground) {
+        return res.status(404).json({ error: "Ground not found" });
+      }
+
+      if (title) {
+        ground.title = title;
+      }
+      if (broadcastSettings) {
+        ground.broadcastSettings = broadcastSettings;
+      }
+      await academy.save();
+      res.json(ground);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+app.delete(
+  "/academies/:academyId/grounds/:groundId",
+  allow(MANAGE_ROLES),
+  async (req, res) => {
+    try {
+      const { academyId, groundId } = req.params;
+      const { academy, ground } = await findGround(academyId, groundId);
+      if (!ground) {
+        return res.status(404).json({ error: "Ground not found" });
+      }
+      if (
+        await isGroundBusy(academyId, groundId, [
+          "scheduled",
+          ...GROUND_BUSY_STATUSES,
+        ])
+      ) {
+        return res
+          .status(409)
+          .json({ error: "Ground has upcoming or live matches" });
+      }
+
+      const clients = await getGroundClients(academy);
+      for (const { client, field } of groundChannels(clients)) {
+        if (client && ground[field]) {
+          await deleteStream(client, ground[field]);
+        }
+      }
+
+      academy.grounds.pull(ground._id);
+      await academy.save();
+      res.json({ message: "Ground removed", groundId });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+app.post(
+  "/academies/:academyId/grounds/:groundId/rotate-key",
+  allow(MANAGE_ROLES),
+  async (req, res) => {
+    try {
+      const { academyId, groundId } = req.params;
+      const { academy, ground } = await findGround(academyId, groundId);
+      if (!ground) {
+        return res.status(404).json({ error: "Ground not found" });
+      }
+      // The encoder of a running match is still using the old key
+      if (await isGroundStreaming(academyId, groundId)) {
+        return res
+          .status(409)
+          .json({ error: "Ground has a match in progress" });
+      }
+
+      await rotateGroundStreams(academy, ground);
+      res.json(ground);
+    } catch (error) {
+      console.error("Error rotating stream key:", error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// Ground Destinations
+app.post(
+  "/academies/:academyId/grounds/:groundId/destinations",
+  allow(MANAGE_ROLES),
+  async (req, res) => {
+    try {
+      const validationError = validateDestination(req.body);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const { academy, ground } = await findGround(
+        req.params.academyId,
+        req.params.groundId
+      );
+      if (!ground) {
+        return res.status(404).json({ error: "Ground not found" });
+      }
+
+      ground.destinations.push({
+        ...destinationFields(req.body),
+        destinationId: newDestinationId(),
+      });
+      await academy.save();
+      res.json(ground.destinations.at(-1));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+app.put(
+  "/academies/:academyId/grounds/:groundId/destinations/:destinationId",
+  allow(MANAGE_ROLES),
+  async (req, res) => {
+    try {
+      const validationError = validateDestination(req.body, { partial: true });
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const { academy, ground } = await findGround(
+        req.params.academyId,
+        req.params.groundId
+      );
+      const destination = ground?.destinations.find(
+        (d) => d.destinationId === req.params.destinationId
+      );
+      if (!destination) {
+        return res.status(404).json({ error: "Destination not found" });
+      }
+
+      destination.set(destinationFields(req.body));
+      await academy.save();
+      res.json(destination);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+app.delete(
+  "/academies/:academyId/grounds/:groundId/destinations/:destinationId",
+  allow(MANAGE_ROLES),
+  async (req, res) => {
+    try {
+      const { academy, ground } = await findGround(
+        req.params.academyId,
+        req.params.groundId
+      );
+      const destination = ground?.destinations.find(
+        (d) => d.destinationId === req.params.destinationId
+      );
+      if (!destination) {
+        return res.status(404).json({ error: "Destination not found" });
+      }
+
+      ground.destinations = ground.destinations.filter(
+        (d) => d !== destination
+      );
+      await academy.save();
+      res.json({
+        message: "Destination removed",
+        destinationId: destination.destinationId,
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// Streaming Routes
+app.post("/go-live-now", allow(MANAGE_ROLES), idempotent, async (req, res) => {
+  const { academyId, groundId, title, teamA, teamB, startTime } = req.body;
+  const overrides = req.body.broadcastSettings;
+
+  try {
+    const settingsError = validateBroadcastSettings(overrides);
+    if (settingsError) {
+      return res.status(400).json({ success: false, message: settingsError });
+    }
+
+    const academy = await Academy.findOne({ academyId });
+    if (!academy || !academy.youtubeTokens) {
+      return res.status(400).json({
+        success: false,
+        message: "Academy not authenticated",
+      });
+    }
+    if (!academy.grounds.some((g) => g.groundId === groundId)) {
+      return res
+        .status(404)
+        .json({ success: false, message: "Ground not found" });
+    }
+    const onFailure = req.body.onFailure || "rollback";
+    if (!GO_LIVE_FAILURE_POLICIES.includes(onFailure)) {
+      return res.status(400).json({
+        success: false,
+        message: `onFailure must be one of ${GO_LIVE_FAILURE_POLICIES.join(", ")}`,
+      });
+    }
+
+    // A kept partial match is finished with /resume, not started again
+    const partial = await Match.findOne({
+      academyId,
+      groundId,
+      status: "partial",
+    });
+    if (partial) {
+      return res.status(409).json({
+        success: false,
+        message: "Ground has a partially created match; resume or cancel it",
+        matchId: partial.matchId,
+        channels: channelResults(partial),
+      });
+    }
+    const settings = resolveBroadcastSettings(academy, groundId, overrides);
+
+    const match = new Match({
+      matchId: `${academyId}-${groundId}-${Date.now()}`,
+      academyId,
+      groundId,
+      title,
+      teamA,
+      teamB,
+      startTime: startTime ? new Date(startTime) : new Date(),
+      broadcastSettings: overrides,
+    });
+
+    console.log("Starting stream:", title);
+    const { results, error } = await createChannelBroadcasts(
+      match,
+      academy,
+      settings
+    );
+    if (error) {
+      if (onFailure === "keep") {
+        match.status = "partial";
+      } else {
+        await rollbackMatchBroadcasts(match, academy);
+        match.status = "failed";
+      }
+      match.error = error.message;
+      await match.save();
+      return res.status(500).json({
+        success: false,
+        message: error.message,
+        matchId: match.matchId,
+        status: match.status,
+        channels: channelResults(match),
+      });
+    }
+
+    const response = completeGoLive(req, match, academy, results, settings);
+    await match.save();
+    res.json(response);
+  } catch (error) {
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// The company channel carries every academy of the company, so a company
+// broadcast is only reachable through a match of the academy itself
+const isAcademyCompanyBroadcast = async (academyId, broadcastId) =>
+  !!(await Match.exists({ academyId, companyBroadcastId: broadcastId }));
+
+const COMPANY_BROADCAST_FORBIDDEN =
+  "Company broadcast does not belong to a match of this academy";
+
+// Find the broadcasts to end by title when no IDs were given. Ambiguous
+// titles fail the job with the candidates in its result.
+const findBroadcastsByTitle = async (clients, title, academyId) => {
+  const normalize = (str) => str.trim().replace(/\s+/g, " ");
+  const findByTitle = async (auth) => {
+    const searchResponse = await getYoutube().liveBroadcasts.list({
+      auth,
+      part: "id,snippet",
+      broadcastStatus: "active",
+      broadcastType: "all",
+    });
+    return searchResponse.data.items.filter(
+      (b) => normalize(b.snippet.title) === normalize(title)
+    );
+  };
+
+  const [academyMatches, companyCandidates] = await Promise.all([
+    findByTitle(clients.academy),
+    findByTitle(clients.company),
+  ]);
+  const owned = await Match.find({
+    academyId,
+    companyBroadcastId: { $in: companyCandidates.map((b) => b.id) },
+  });
+  const companyMatches = companyCandidates.filter((b) =>
+    owned.some((match) => match.companyBroadcastId === b.id)
+  );
+
+  if (academyMatches.length > 1 || companyMatches.length > 1) {
+    const error = new Error(
+      `More than one active broadcast is titled "${title}". End it by matchId or broadcast ID instead.`
+    );
+    error.result = {
+      academyBroadcastIds: academyMatches.map((b) => b.id),
+      companyBroadcastIds: companyMatches.map((b) => b.id),
+    };
+    throw error;
+  }
+
+  return {
+    academy: academyMatches[0]?.id,
+    company: companyMatches[0]?.id,
+  };
+};
+
+const endBroadcasts = async (
+  report,
+  { matchId, academyId, clients, broadcastIds, title }
+) => {
+  if (!broadcastIds.academy && !broadcastIds.company) {
+    report({ progress: "Finding broadcasts by title" });
+    broadcastIds = await findBroadcastsByTitle(
+      { academy: await clients.academy(), company: await clients.company() },
+      title,
+      academyId
+    );
+  }
+
+  report({ progress: "Ending broadcasts", attempts: 1 });
+  const [academy, company] = await Promise.all([
+    endChannelBroadcast(clients.academy, broadcastIds.academy),
+    endChannelBroadcast(clients.company, broadcastIds.company),
+  ]);
+  const channels = { academy, company };
+
+  // Keep the stored match in sync even when it was ended by broadcast ID
+  const conditions = [];
+  if (broadcastIds.academy) {
+    conditions.push({ academyBroadcastId: broadcastIds.academy });
+  }
+  if (broadcastIds.company) {
+    conditions.push({ companyBroadcastId: broadcastIds.company });
+  }
+  const match = matchId
+    ? await Match.findOne({ matchId })
+    : conditions.length
+      ? await Match.findOne({ $or: conditions })
+      : null;
+  if (match) {
+    await releaseEndedStreams(match, channels, clients);
+    await completeEndedMatch(match, channels);
+    report({ matchId: match.matchId });
+  }
+
+  const result = {
+    success: channels.academy.status !== "failed",
+    matchId: match?.matchId,
+    academyStreamEnded: isBroadcastOver(academy),
+    companyStreamEnded: isBroadcastOver(company),
+    channels,
+  };
+  if (!result.success) {
+    const error = new Error(
+      `Academy broadcast could not be ended: ${academy.error}`
+    );
+    error.result = result;
+    throw error;
+  }
+  return result;
+};
+
+const acceptJob = (res, job) =>
+  res.status(202).json({
+    jobId: job.jobId,
+    status: job.status,
+    statusUrl: `/jobs/${job.jobId}`,
+  });
+
+app.post("/end-stream", allow(MANAGE_ROLES), async (req, res) => {
+  const { matchId, academyBroadcastId, companyBroadcastId, title } = req.body;
+  let { academyId } = req.body;
+
+  try {
+    let broadcastIds = {
+      academy: academyBroadcastId,
+      company: companyBroadcastId,
+    };
+
+    if (matchId) {
+      const match = await Match.findOne({ matchId });
+      if (!match) {
+        return res.status(404).json({ error: "Match not found" });
+      }
+      academyId = match.academyId;
+      broadcastIds = {
+        academy: match.academyBroadcastId,
+        company: match.companyBroadcastId,
+      };
+    } else if (!academyBroadcastId && !companyBroadcastId && !title) {
+      return res
+        .status(400)
+        .json({ error: "matchId, broadcast IDs or title is required" });
+    } else if (
+      companyBroadcastId &&
+      !(await isAcademyCompanyBroadcast(academyId, companyBroadcastId))
+    ) {
+      return res.status(403).json({ error: COMPANY_BROADCAST_FORBIDDEN });
+    }
+
+    const academy = await Academy.findOne({ academyId });
+    if (!academy || !academy.youtubeTokens) {
+      return res.status(400).json({ error: "Academy not authenticated" });
+    }
+
+    const clients = channelClientGetters(academy);
+    const job = await startJob(
+      { type: "end", academyId, matchId, request: req.body },
+      (report) =>
+        endBroadcasts(report, {
+          matchId,
+          academyId,
+          clients,
+          broadcastIds,
+          title,
+        })
+    );
+    acceptJob(res, job);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get("/check-stream-status", allow(ROLES), async (req, res) => {
+  const { matchId, isCompanyChannel } = req.query;
+  let { academyId, broadcastId } = req.query;
+
+  try {
+    if (matchId) {
+      const found = await findMatchBroadcast(
+        matchId,
+        isCompanyChannel === "true"
+      );
+      if (!found) {
+        return res.status(404).json({ error: "Match not found" });
+      }
+      ({ academyId, broadcastId } = found);
+    } else if (
+      isCompanyChannel === "true" &&
+      !(await isAcademyCompanyBroadcast(academyId, broadcastId))
+    ) {
+      return res.status(403).json({ error: COMPANY_BROADCAST_FORBIDDEN });
+    }
+
+    const academy = await Academy.findOne({ academyId });
+    if (!academy) {
+      return res.status(404).json({ error: "Academy not found" });
+    }
+
+    const oauth2Client =
+      isCompanyChannel === "true"
+        ? await getCompanyOAuthClient(academy)
+        : getAcademyOAuthClient(academy);
+
+    const youtube = getYoutube();
+
+    const broadcastResponse = await youtube.liveBroadcasts.list({
+      auth: oauth2Client,
+      part: "status,snippet,contentDetails",
+      id: broadcastId,
+    });
+
+    if (!broadcastResponse.data.items.length) {
+      return res.status(404).json({ error: "Broadcast not found" });
+    }
+
+    const broadcast = broadcastResponse.data.items[0];
+    const streamResponse = await youtube.liveStreams.list({
+      auth: oauth2Client,
+      part: "status,snippet,cdn",
+      id: broadcast.contentDetails.boundStreamId,
+    });
+
+    if (!streamResponse.data.items.length) {
+      return res.status(404).json({ error: "Stream not found" });
+    }
+
+    const stream = streamResponse.data.items[0];
+
+    return res.json({
+      broadcastStatus: broadcast.status.lifeCycleStatus,
+      streamStatus: stream.status.streamStatus,
+      healthStatus: stream.status.healthStatus,
+      isReadyToStart:
+        stream.status.streamStatus === "active" &&
+        (broadcast.status.lifeCycleStatus === "testing" ||
+          broadcast.status.lifeCycleStatus === "ready"),
+    });
+  } catch (error) {
+    res.status(error.code === 429 ? 429 : 500).json({ error: error.message });
+  }
+});
+
+const startBroadcast = async (
+  report,
+  { matchId, oauth2Client, broadcastId, isCompanyChannel }
+) => {
+  let result;
+  try {
+    result = await transitionToLive(oauth2Client, broadcastId, 0, report);
+  } catch (error) {
+    // Attach the final status for reporting
+    try {
+      const finalHealth = await checkStreamHealth(oauth2Client, broadcastId);
+      report({ lastHealth: finalHealth });
+      error.result = {
+        currentStatus: finalHealth.broadcastStatus,
+        streamStatus: finalHealth.streamStatus,
+        healthStatus: finalHealth.healthStatus,
+      };
+    } catch (statusError) {
+      error.result = { additionalError: "Could not fetch final status" };
+    }
+    throw error;
+  }
+
+  const match = matchId && (await Match.findOne({ matchId }));
+  if (match) {
+    setDestinationStatus(
+      match,
+      isCompanyChannel ? "youtube-company" : "youtube-academy",
+      "live"
+    );
+    // The match is live once its academy broadcast is
+    if (!isCompanyChannel && match.status !== "live") {
+      match.status = "live";
+      match.liveAt = new Date();
+    }
+    await match.save();
+  }
+
+  return result;
+};
+
+app.post("/start-stream", allow(MANAGE_ROLES), idempotent, async (req, res) => {
+  const { matchId, isCompanyChannel } = req.body;
+  let { academyId, broadcastId } = req.body;
+  let match;
+
+  try {
+    if (matchId) {
+      const found = await findMatchBroadcast(matchId, isCompanyChannel);
+      if (!found) {
+        return res.status(404).json({ error: "Match not found" });
+      }
+      ({ match, academyId, broadcastId } = found);
+    } else if (!isCompanyChannel) {
+      match = await Match.findOne({ academyBroadcastId: broadcastId });
+    } else if (!(await isAcademyCompanyBroadcast(academyId, broadcastId))) {
+      return res.status(403).json({ error: COMPANY_BROADCAST_FORBIDDEN });
+    }
+
+    const academy = await Academy.findOne({ academyId });
+    if (!academy) {
+      return res.status(404).json({ error: "Academy not found" });
+    }
+
+    const oauth2Client = isCompanyChannel
+      ? await getCompanyOAuthClient(academy)
+      : getAcademyOAuthClient(academy);
+
+    // Transitions can take well over a minute, so they run as a job
+    const job = await startJob(
+      {
+        type: "start",
+        academyId,
+        matchId: match?.matchId,
+        request: req.body,
+      },
+      (report) =>
+        startBroadcast(report, {
+          matchId: match?.matchId,
+          oauth2Client,
+          broadcastId,
+          isCompanyChannel,
+        })
+    );
+    acceptJob(res, job);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Match Scheduling
+const BROADCAST_LEAD_TIME = 10 * 60 * 1000; // create broadcasts 10 minutes before kickoff
+const scheduledJobs = new Map();
+
+const createMatchBroadcasts = async (match) => {
+  const academy = await Academy.findOne({ academyId: match.academyId });
+  if (!academy || !academy.youtubeTokens) {
+    throw new Error("Academy not authenticated");
+  }
+  const settings = resolveBroadcastSettings(
+    academy,
+    match.groundId,
+    match.toObject().broadcastSettings
+  );
+
+  // Broadcasts that were created stay on the match, so a retry only
+  // creates the missing channel
+  const { results, error } = await createChannelBroadcasts(
+    match,
+    academy,
+    settings
+  );
+  if (error) {
+    throw error;
+  }
+
+  setMatchBroadcasts(match, results.academy, results.company);
+  prepareMatchDestinations(
+    match,
+    academy.grounds.find((g) => g.groundId === match.groundId),
+    results
+  );
+  await match.save();
+};
+
+const startMatch = async (match) => {
+  // Broadcasts are normally created ahead of kickoff; retry here if that failed
+  if (!match.academyBroadcastId || !match.companyBroadcastId) {
+    await createMatchBroadcasts(match);
+  }
+  if (match.status !== "created") {
+    return;
+  }
+
+  // Go live as soon as the encoders are pushing instead of failing at kickoff
+  match.armedUntil = new Date(Date.now() + DEFAULT_ARM_TIMEOUT);
+  await match.save();
+  armMatch(match);
+};
+
+const endMatch = async (match) => {
+  disarmMatch(match.matchId);
+  if (!match.academyBroadcastId && !match.companyBroadcastId) {
+    return;
+  }
+
+  const academy = await Academy.findOne({ academyId: match.academyId });
+  if (!academy) {
+    throw new Error("Academy not found");
+  }
+  const clients = channelClientGetters(academy);
+  const [academyResult, companyResult] = await Promise.all([
+    endChannelBroadcast(clients.academy, match.academyBroadcastId),
+    endChannelBroadcast(clients.company, match.companyBroadcastId),
+  ]);
+
+  const channels = { academy: academyResult, company: companyResult };
+  await releaseEndedStreams(match, channels, clients);
+  const completed = await completeEndedMatch(match, channels);
+  if (!completed) {
+    throw new Error(academyResult.error || "Broadcasts never went live");
+  }
+};
+
+// Wrap a step so a job always works on the latest copy of the match
+const runMatchJob = (matchId, step) => async () => {
+  const match = await Match.findOne({ matchId });
+  if (!match || ["complete", "cancelled"].includes(match.status)) {
+    return;
+  }
+
+  try {
+    console.log(`Running ${step.name} for match:`, matchId);
+    await withQuotaPriority("high", () => step(match));
+  } catch (error) {
+    console.error(`Scheduled ${step.name} failed for ${matchId}:`, error);
+    match.status = "failed";
+    match.error = error.message;
+    await match.save();
+  }
+};
+
+// Stops scheduled steps and any auto-start watch for the match
+const cancelMatchJobs = (matchId) => {
+  const jobs = scheduledJobs.get(matchId) || [];
+  jobs.forEach((job) => job.cancel());
+  scheduledJobs.delete(matchId);
+  disarmMatch(matchId);
+};
+
+const scheduleMatchJobs = (match) => {
+  cancelMatchJobs(match.matchId);
+
+  const now = Date.now();
+  const jobs = [];
+  const at = (time, step) => {
+    // Steps that were missed (e.g. during a restart) run right away
+    const job = schedule.scheduleJob(
+      new Date(Math.max(new Date(time).getTime(), now + 1000)),
+      runMatchJob(match.matchId, step)
+    );
+    if (job) {
+      jobs.push(job);
+    }
+  };
+
+  const createAt = match.startTime.getTime() - BROADCAST_LEAD_TIME;
+  if (match.status === "scheduled" && createAt > now) {
+    at(createAt, createMatchBroadcasts);
+  }
+  if (
+    ["scheduled", "created"].includes(match.status) &&
+    match.endTime.getTime() > now
+  ) {
+    at(match.startTime, startMatch);
+  }
+  at(match.endTime, endMatch);
+
+  scheduledJobs.set(match.matchId, jobs);
+};
+
+// Rebuild jobs for every unfinished scheduled match after a restart
+const restoreScheduledMatches = async () => {
+  try {
+    const matches = await Match.find({
+      status: { $in: ["scheduled", "created", "live"] },
+      endTime: { $ne: null },
+    });
+    matches.forEach(scheduleMatchJobs);
+    console.log(`Restored schedules for ${matches.length} matches`);
+  } catch (error) {
+    console.error("Error restoring scheduled matches:", error);
+  }
+};
+
+// Auto Start
+const ARM_POLL_INTERVAL = 10 * 1000; // 10 seconds
+const DEFAULT_ARM_TIMEOUT = 15 * 60 * 1000; // 15 minutes
+const armedMatches = new Map();
+
+// Move a broadcast one step towards live once its stream is healthy
+const advanceBroadcast = async (oauth2Client, broadcastId) => {
+  const youtube = getYoutube();
+  const health = await checkStreamHealth(oauth2Client, broadcastId);
+
+  if (health.streamStatus !== "active" || health.healthStatus !== "good") {
+    return health;
+  }
+
+  // Transitional states (testStarting, liveStarting) settle on their own
+  const nextStatus = { ready: "testing", testing: "live" }[
+    health.broadcastStatus
+  ];
+  if (nextStatus) {
+    await youtube.liveBroadcasts.transition({
+      auth: oauth2Client,
+      broadcastStatus: nextStatus,
+      id: broadcastId,
+      part: "id,status",
+    });
+  }
+  return health;
+};
+
+// The match goes live with its academy broadcast; the mirror keeps being
+// watched until it follows or the arm times out
+const pollArmedMatch = async (matchId) => {
+  const match = await Match.findOne({ matchId });
+  if (!match || !["created", "live"].includes(match.status)) {
+    return disarmMatch(matchId);
+  }
+
+  // A channel whose client can't be made is observed as that error, so the
+  // timeout below still runs
+  const academy = await Academy.findOne({ academyId: match.academyId });
+  const getClients = academy?.youtubeTokens
+    ? channelClientGetters(academy)
+    : {};
+  const observe = async (channel) => {
+    try {
+      if (!getClients[channel]) {
+        throw new Error("Academy not authenticated");
+      }
+      return await advanceBroadcast(
+        await getClients[channel](),
+        match[`${channel}BroadcastId`]
+      );
+    } catch (error) {
+      return { error: error.message };
+    }
+  };
+  const [academyHealth, companyHealth] = await Promise.all([
+    observe("academy"),
+    observe("company"),
+  ]);
+
+  const previous = match.lastObservedHealth || {};
+  Object.entries({ academy: academyHealth, company: companyHealth }).forEach(
+    ([channel, health]) => {
+      if (
+        health.broadcastStatus &&
+        health.broadcastStatus !== previous[channel]?.broadcastStatus
+      ) {
+        publishMatchEvent(match, "lifecycle", {
+          channel,
+          status: health.broadcastStatus,
+        });
+        if (health.broadcastStatus === "live") {
+          setDestinationStatus(match, `youtube-${channel}`, "live");
+        }
+      }
+    }
+  );
+  match.lastObservedHealth = { academy: academyHealth, company: companyHealth };
+
+  if (academyHealth.broadcastStatus === "live" && match.status !== "live") {
+    match.status = "live";
+    match.liveAt = new Date();
+  }
+
+  if (
+    academyHealth.broadcastStatus === "live" &&
+    companyHealth.broadcastStatus === "live"
+  ) {
+    disarmMatch(matchId);
+    match.armedUntil = undefined;
+  } else if (Date.now() >= match.armedUntil.getTime()) {
+    disarmMatch(matchId);
+    match.armedUntil = undefined;
+    if (match.status === "live") {
+      // Only the mirror failed; the match itself stays live
+      setDestinationStatus(
+        match,
+        "youtube-company",
+        "failed",
+        `Timed out waiting for a healthy stream. Last status: ${JSON.stringify(
+          companyHealth
+        )}`
+      );
+      publishMatchEvent(match, "lifecycle", {
+        channel: "company",
+        status: "failed",
+      });
+    } else {
+      match.status = "failed";
+      match.error = `Timed out waiting for healthy streams. Last status: ${JSON.stringify(
+        match.lastObservedHealth
+      )}`;
+    }
+  }
+
+  await match.save();
+};
+
+const armMatch = (match) => {
+  disarmMatch(match.matchId);
+
+  let polling = false;
+  const timer = setInterval(async () => {
+    if (polling) {
+      return;
+    }
+    polling = true;
+    try {
+      await withQuotaPriority("high", () => pollArmedMatch(match.matchId));
+    } catch (error) {
+      console.error(`Error polling armed match ${match.matchId}:`, error);
+    } finally {
+      polling = false;
+    }
+  }, ARM_POLL_INTERVAL);
+
+  armedMatches.set(match.matchId, timer);
+};
+
+const disarmMatch = (matchId) => {
+  clearInterval(armedMatches.get(matchId));
+  armedMatches.delete(matchId);
+};
+
+const restoreArmedMatches = async () => {
+  try {
+    const matches = await Match.find({
+      status: { $in: ["created", "live"] },
+      armedUntil: { $gt: new Date() },
+    });
+    matches.forEach(armMatch);
+  } catch (error) {
+    console.error("Error restoring armed matches:", error);
+  }
+};
+
+// Match Routes
+app.post("/matches", allow(MANAGE_ROLES), async (req, res) => {
+  const { academyId, groundId, title, teamA, teamB, startTime, endTime } =
+    req.body;
+
+  try {
+    const settingsError = validateBroadcastSettings(req.body.broadcastSettings);
+    if (settingsError) {
+      return res.status(400).json({ error: settingsError });
+    }
+
+    const start = new Date(startTime);
+    const end = new Date(endTime);
+    if (isNaN(start) || isNaN(end)) {
+      return res
+        .status(400)
+        .json({ error: "Valid startTime and endTime are required" });
+    }
+    if (end <= start || end <= new Date()) {
+      return res
+        .status(400)
+        .json({ error: "endTime must be after startTime and in the future" });
+    }
+
+    const academy = await Academy.findOne({ academyId });
+    if (!academy) {
+      return res.status(404).json({ error: "Academy not found" });
+    }
+    if (!academy.grounds.some((g) => g.groundId === groundId)) {
+      return res.status(404).json({ error: "Ground not found" });
+    }
+
+    const match = new Match({
+      matchId: `${academyId}-${groundId}-${Date.now()}`,
+      academyId,
+      groundId,
+      title,
+      teamA,
+      teamB,
+      startTime: start,
+      endTime: end,
+      broadcastSettings: req.body.broadcastSettings,
+    });
+    await match.save();
+    scheduleMatchJobs(match);
+
+    res.json(match);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get("/matches", allow(ROLES), async (req, res) => {
+  const { academyId, groundId, status } = req.query;
+
+  try {
+    const filter = {};
+    if (academyId) filter.academyId = academyId;
+    if (groundId) filter.groundId = groundId;
+
+    // Without an academyId, only list what the caller's key covers
+    if (!academyId && req.apiKey.role === "company_admin") {
+      const academies = await Academy.find({
+        companyId: req.apiKey.companyId,
+      });
+      filter.academyId = { $in: academies.map((a) => a.academyId) };
+    } else if (!academyId && req.apiKey.academyId) {
+      filter.academyId = req.apiKey.academyId;
+    }
+    if (status) filter.status = status;
+
+    const matches = await Match.find(filter).sort({ startTime: -1 });
+    res.json(matches);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get("/matches/:matchId", allow(ROLES), async (req, res) => {
+  try {
+    const match = await Match.findOne({ matchId: req.params.matchId });
+    if (!match) {
+      return res.status(404).json({ error: "Match not found" });
+    }
+    res.json(match);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get("/matches/:matchId/destinations", allow(ROLES), async (req, res) => {
+  try {
+    const match = await Match.findOne({ matchId: req.params.matchId });
+    if (!match) {
+      return res.status(404).json({ error: "Match not found" });
+    }
+    res.json(match.destinations);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get("/matches/:matchId/health", allow(ROLES), async (req, res) => {
+  const { channel, since, limit } = req.query;
+
+  try {
+    const match = await Match.findOne({ matchId: req.params.matchId });
+    if (!match) {
+      return res.status(404).json({ error: "Match not found" });
+    }
+
+    const samples = await getHealthHistory({
+      matchId: match.matchId,
+      channel,
+      since,
+      limit,
+    });
+    res.json({ matchId: match.matchId, samples });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post("/matches/:matchId/arm", allow(MANAGE_ROLES), async (req, res) => {
+  const { timeoutMinutes } = req.body;
+
+  try {
+    const timeout = timeoutMinutes
+      ? Number(timeoutMinutes) * 60 * 1000
+      : DEFAULT_ARM_TIMEOUT;
+    if (!(timeout > 0)) {
+      return res
+        .status(400)
+        .json({ error: "timeoutMinutes must be a positive number" });
+    }
+
+    const match = await Match.findOne({ matchId: req.params.matchId });
+    if (!match) {
+      return res.status(404).json({ error: "Match not found" });
+    }
+    if (match.status !== "created") {
+      return res
+        .status(400)
+        .json({ error: `Cannot arm a match that is ${match.status}` });
+    }
+
+    match.armedUntil = new Date(Date.now() + timeout);
+    await match.save();
+    armMatch(match);
+
+    res.json(match);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post("/matches/:matchId/disarm", allow(MANAGE_ROLES), async (req, res) => {
+  try {
+    const match = await Match.findOne({ matchId: req.params.matchId });
+    if (!match) {
+      return res.status(404).json({ error: "Match not found" });
+    }
+
+    disarmMatch(match.matchId);
+    match.armedUntil = undefined;
+    await match.save();
+    res.json(match);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// What happens to the company mirror when the academy broadcast cannot go
+// live. Both channels always start together. "allow" lets the mirror go live
+// regardless, "block" holds it in testing until the academy is live, and
+// "rollback" ends a mirror that went live; its broadcast is cleared from
+// the match so the next start creates a fresh one.
+const MIRROR_POLICIES = ["allow", "block", "rollback"];
+
+// Progress from both channels lands on one job, so label it by channel
+const channelReport = (report, channel) => (update) =>
+  report({
+    ...(update.progress && { progress: `${channel}: ${update.progress}` }),
+    ...(update.attempts && { attempts: update.attempts }),
+    ...(update.lastHealth && { [`lastHealth.${channel}`]: update.lastHealth }),
+  });
+
+const startMatchChannels = async (report, { matchId, mirrorPolicy }) => {
+  const match = await Match.findOne({ matchId });
+  // A mirror rolled back by an earlier start is created again
+  if (!match.academyBroadcastId || !match.companyBroadcastId) {
+    report({ progress: "Creating missing broadcasts" });
+    await createMatchBroadcasts(match);
+  }
+  const clients = await getMatchOAuthClients(match);
+  const channels = {};
+
+  const goLive = async (channel, beforeLive) => {
+    try {
+      const result = await transitionToLive(
+        clients[channel],
+        match[`${channel}BroadcastId`],
+        0,
+        channelReport(report, channel),
+        beforeLive
+      );
+      channels[channel] = { status: "live", message: result.message };
+      setDestinationStatus(match, `youtube-${channel}`, "live");
+    } catch (error) {
+      channels[channel] = {
+        status: error.skipped ? "skipped" : "failed",
+        error: error.message,
+      };
+    }
+  };
+
+  const academyStarted = goLive("academy");
+  if (mirrorPolicy === "block") {
+    const academyLive = academyStarted.then(() => {
+      if (channels.academy.status !== "live") {
+        const error = new Error("Academy broadcast did not go live");
+        error.skipped = true;
+        throw error;
+      }
+    });
+    // The mirror may fail before it ever waits on this
+    academyLive.catch(() => {});
+    await Promise.all([academyStarted, goLive("company", () => academyLive)]);
+  } else {
+    await Promise.all([academyStarted, goLive("company")]);
+  }
+
+  if (
+    mirrorPolicy === "rollback" &&
+    channels.academy.status === "failed" &&
+    channels.company.status === "live"
+  ) {
+    report({ progress: "company: Ending mirror after academy failure" });
+    const broadcastId = match.companyBroadcastId;
+    try {
+      await completeBroadcast(clients.company, broadcastId);
+      await releaseMatchStream(match, "company", clients.company);
+      match.broadcastSteps.push({
+        channel: "company",
+        action: "rollback",
+        status: "succeeded",
+        broadcastId,
+      });
+      match.companyBroadcastId = undefined;
+      match.companyStreamId = undefined;
+      channels.company = {
+        status: "rolledBack",
+        broadcastId,
+        message: "A new mirror broadcast is created on the next start",
+      };
+      setDestinationStatus(match, "youtube-company", "complete");
+    } catch (error) {
+      channels.company.error = `Rollback failed: ${error.message}`;
+    }
+  }
+
+  // The match is live once its academy broadcast is
+  if (channels.academy.status === "live") {
+    match.status = "live";
+    match.liveAt = new Date();
+    match.error = undefined;
+  } else {
+    match.error = channels.academy.error;
+  }
+  await match.save();
+
+  if (channels.academy.status !== "live") {
+    const error = new Error(
+      `Academy broadcast did not go live: ${channels.academy.error}`
+    );
+    error.result = { matchId, mirrorPolicy, channels };
+    throw error;
+  }
+  return { success: true, matchId, mirrorPolicy, channels };
+};
+
+app.post(
+  "/matches/:matchId/start",
+  allow(MANAGE_ROLES),
+  idempotent,
+  async (req, res) => {
+    const mirrorPolicy = req.body.mirrorPolicy || "block";
+
+    try {
+      if (!MIRROR_POLICIES.includes(mirrorPolicy)) {
+        return res.status(400).json({
+          error: `mirrorPolicy must be one of ${MIRROR_POLICIES.join(", ")}`,
+        });
+      }
+
+      const match = await Match.findOne({ matchId: req.params.matchId });
+      if (!match) {
+        return res.status(404).json({ error: "Match not found" });
+      }
+      if (match.status !== "created") {
+        return res
+          .status(400)
+          .json({ error: `Cannot start a match that is ${match.status}` });
+      }
+
+      // A manual start takes over from auto start
+      disarmMatch(match.matchId);
+      if (match.armedUntil) {
+        match.armedUntil = undefined;
+        await match.save();
+      }
+
+      const job = await startJob(
+        {
+          type: "start",
+          academyId: match.academyId,
+          matchId: match.matchId,
+          request: { mirrorPolicy },
+        },
+        (report) =>
+          startMatchChannels(report, { matchId: match.matchId, mirrorPolicy })
+      );
+      acceptJob(res, job);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+app.post("/matches/:matchId/end", allow(MANAGE_ROLES), async (req, res) => {
+  try {
+    const match = await Match.findOne({ matchId: req.params.matchId });
+    if (!match) {
+      return res.status(404).json({ error: "Match not found" });
+    }
+    if (!["created", "live"].includes(match.status)) {
+      return res
+        .status(400)
+        .json({ error: `Cannot end a match that is ${match.status}` });
+    }
+
+    const academy = await Academy.findOne({ academyId: match.academyId });
+    if (!academy || !academy.youtubeTokens) {
+      return res.status(400).json({ error: "Academy not authenticated" });
+    }
+
+    const clients = channelClientGetters(academy);
+    const job = await startJob(
+      {
+        type: "end",
+        academyId: match.academyId,
+        matchId: match.matchId,
+      },
+      (report) =>
+        endBroadcasts(report, {
+          matchId: match.matchId,
+          clients,
+          broadcastIds: {
+            academy: match.academyBroadcastId,
+            company: match.companyBroadcastId,
+          },
+        })
+    );
+    acceptJob(res, job);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post("/matches/:matchId/resume", allow(MANAGE_ROLES), async (req, res) => {
+  try {
+    const match = await Match.findOne({ matchId: req.params.matchId });
+    if (!match) {
+      return res.status(404).json({ error: "Match not found" });
+    }
+    if (match.status !== "partial") {
+      return res
+        .status(400)
+        .json({ error: `Cannot resume a match that is ${match.status}` });
+    }
+
+    const academy = await Academy.findOne({ academyId: match.academyId });
+    if (!academy || !academy.youtubeTokens) {
+      return res.status(400).json({ error: "Academy not authenticated" });
+    }
+    const settings = resolveBroadcastSettings(
+      academy,
+      match.groundId,
+      match.toObject().broadcastSettings
+    );
+
+    const { results, error } = await createChannelBroadcasts(
+      match,
+      academy,
+      settings
+    );
+    if (error) {
+      match.error = error.message;
+      await match.save();
+      return res.status(500).json({
+        success: false,
+        message: error.message,
+        matchId: match.matchId,
+        status: match.status,
+        channels: channelResults(match),
+      });
+    }
+
+    const response = completeGoLive(req, match, academy, results, settings);
+    await match.save();
+    res.json(response);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post("/matches/:matchId/cancel", allow(MANAGE_ROLES), async (req, res) => {
+  try {
+    const match = await Match.findOne({ matchId: req.params.matchId });
+    if (!match) {
+      return res.status(404).json({ error: "Match not found" });
+    }
+    if (!["scheduled", "partial", "created"].includes(match.status)) {
+      return res
+        .status(400)
+        .json({ error: `Cannot cancel a match that is ${match.status}` });
+    }
+
+    // Nothing will go live on a cancelled match, so remove what it created
+    if (["partial", "created"].includes(match.status)) {
+      const academy = await Academy.findOne({ academyId: match.academyId });
+      if (academy) {
+        await rollbackMatchBroadcasts(match, academy);
+      }
+    }
+    cancelMatchJobs(match.matchId);
+    match.status = "cancelled";
+    match.cancelledAt = new Date();
+    await match.save();
+    res.json(match);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Fixture Import
+// Imported fixtures may not overlap anything still to be played on a ground
+const FIXTURE_OVERLAP_STATUSES = ["scheduled", ...GROUND_BUSY_STATUSES];
+
+const fixtureUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FIXTURE_FILE_SIZE },
+  fileFilter: (req, file, cb) => {
+    if (!isJsonFile(file) && !isCsvFile(file)) {
+      return cb(new Error("Fixtures must be a CSV or JSON file"));
+    }
+    cb(null, true);
+  },
+});
+
+const uploadFixtures = (req, res, next) =>
+  fixtureUpload.single("file")(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    next();
+  });
+
+// Flag fixtures that clash with each other or with matches already on the
+// same ground. Both sides of a clash within the file are flagged.
+const flagFixtureOverlaps = (rows, matches) => {
+  const timed = rows.filter(
+    ({ fixture }) => fixture.groundId && fixture.startTime && fixture.endTime
+  );
+  timed.forEach((row, index) => {
+    timed.slice(index + 1).forEach((other) => {
+      if (fixturesOverlap(row.fixture, other.fixture)) {
+        row.errors.push(`Overlaps row ${other.row} on the same ground`);
+        other.errors.push(`Overlaps row ${row.row} on the same ground`);
+      }
+    });
+    matches
+      .filter((match) =>
+        // A match with no endTime runs until someone ends it
+        fixturesOverlap(row.fixture, {
+          groundId: match.groundId,
+          startTime: match.startTime,
+          endTime: match.endTime || Infinity,
+        })
+      )
+      .forEach((match) =>
+        row.errors.push(`Overlaps match ${match.matchId} on the same ground`)
+      );
+  });
+};
+
+// Create both channels' broadcasts for a fixture now, so problems show in
+// the report rather than at kickoff. A fixture that fails on either channel
+// is rolled back and kept as a failed match, like a failed go-live.
+const createFixtureMatch = async (academy, row) => {
+  const { groundId } = row.fixture;
+  const match = new Match({
+    matchId: `${academy.academyId}-${groundId}-${Date.now()}-${row.row}`,
+    academyId: academy.academyId,
+    ...row.fixture,
+  });
+
+  const { results, error } = await createChannelBroadcasts(
+    match,
+    academy,
+    resolveBroadcastSettings(academy, groundId)
+  );
+  if (error) {
+    await rollbackMatchBroadcasts(match, academy);
+    match.status = "failed";
+    match.error = error.message;
+    await match.save();
+    return { match, error };
+  }
+
+  setMatchBroadcasts(match, results.academy, results.company);
+  prepareMatchDestinations(
+    match,
+    academy.grounds.find((g) => g.groundId === groundId),
+    results
+  );
+  await match.save();
+  scheduleMatchJobs(match);
+  return { match };
+};
+
+const fixtureImportReport = (academyId, dryRun, entries) => {
+  const count = (status) =>
+    entries.filter((entry) => entry.status === status).length;
+  return {
+    academyId,
+    dryRun,
+    summary: {
+      total: entries.length,
+      valid: count("valid"),
+      invalid: count("invalid"),
+      created: count("created"),
+      failed: count("failed"),
+    },
+    rows: entries,
+  };
+};
+
+// Create a match for every valid row, one at a time
+const importFixtures = async (report, { academyId, rows }) => {
+  const academy = await Academy.findOne({ academyId });
+  const entries = [];
+  for (const row of rows) {
+    const entry = { row: row.row, ...row.fixture };
+    if (row.errors.length) {
+      entries.push({ ...entry, status: "invalid", errors: row.errors });
+      continue;
+    }
+
+    report({ progress: `Importing row ${row.row} of ${rows.length}` });
+    try {
+      const { match, error } = await createFixtureMatch(academy, row);
+      entries.push({
+        ...entry,
+        status: error ? "failed" : "created",
+        matchId: match.matchId,
+        channels: channelResults(match),
+        ...(error && { errors: [error.message] }),
+      });
+    } catch (error) {
+      entries.push({ ...entry, status: "failed", errors: [error.message] });
+    }
+  }
+  return fixtureImportReport(academyId, false, entries);
+};
+
+// Upload a CSV or JSON file of fixtures as "file". With dryRun=true nothing
+// is created and the report comes back right away; otherwise the import
+// runs as a job whose result is the report.
+app.post(
+  "/academies/:academyId/fixtures/import",
+  allow(MANAGE_ROLES),
+  uploadFixtures,
+  async (req, res) => {
+    const { academyId } = req.params;
+    const dryRun = [req.body.dryRun, req.query.dryRun].includes("true");
+
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: "A fixtures file is required" });
+      }
+
+      let inputs;
+      try {
+        inputs = parseFixtureFile(req.file);
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+
+      const academy = await Academy.findOne({ academyId });
+      if (!academy) {
+        return res.status(404).json({ error: "Academy not found" });
+      }
+      if (!dryRun) {
+        const company = await findAcademyCompany(academy);
+        if (!academy.youtubeTokens || !company?.youtubeTokens) {
+          return res.status(400).json({
+            error: !academy.youtubeTokens
+              ? "Academy not authenticated"
+              : "Company not authenticated",
+          });
+        }
+      }
+
+      const now = new Date();
+      const rows = inputs.map((input, index) => ({
+        row: index + 1,
+        ...validateFixture(input, academy.grounds, now),
+      }));
+      const matches = await Match.find({
+        academyId,
+        status: { $in: FIXTURE_OVERLAP_STATUSES },
+        $or: [{ endTime: { $gt: now } }, { endTime: null }],
+      });
+      flagFixtureOverlaps(rows, matches);
+
+      if (dryRun) {
+        return res.json(
+          fixtureImportReport(
+            academyId,
+            true,
+            rows.map((row) => ({
+              row: row.row,
+              ...row.fixture,
+              status: row.errors.length ? "invalid" : "valid",
+              ...(row.errors.length && { errors: row.errors }),
+            }))
+          )
+        );
+      }
+
+      const job = await startJob(
+        {
+          type: "import",
+          academyId,
+          request: { file: req.file.originalname, rows: rows.length },
+        },
+        (report) => importFixtures(report, { academyId, rows })
+      );
+      acceptJob(res, job);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// Thumbnails
+const THUMBNAIL_WIDTH = 1280;
+const THUMBNAIL_HEIGHT = 720;
+const MAX_THUMBNAIL_SIZE = 2 * 1024 * 1024; // YouTube's limit is 2MB
+const THUMBNAIL_TYPES = ["image/jpeg", "image/png"];
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+const thumbnailUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_THUMBNAIL_SIZE },
+  fileFilter: (req, file, cb) => {
+    if (!THUMBNAIL_TYPES.includes(file.mimetype)) {
+      return cb(new Error("Thumbnail must be a JPEG or PNG image"));
+    }
+    cb(null, true);
+  },
+});
+
+// Run multer and answer upload errors as JSON instead of the default handler
+const uploadImage = (field) => (req, res, next) =>
+  thumbnailUpload.single(field)(req, res, async (error) => {
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (req.file) {
+      // The declared type comes from the client; trust what sharp reads
+      let format;
+      try {
+        ({ format } = await sharp(req.file.buffer).metadata());
+      } catch (metadataError) {
+        return res.status(400).json({ error: "File is not a valid image" });
+      }
+      if (!["jpeg", "png"].includes(format)) {
+        return res
+          .status(400)
+          .json({ error: "Thumbnail must be a JPEG or PNG image" });
+      }
+      req.file.mimetype = `image/${format}`;
+    }
+    next();
+  });
+
+const renderMatchThumbnail = async (academy, match) => {
+  const template = academy.thumbnailTemplate || {};
+  const textColor = template.textColor || "#ffffff";
+
+  const overlay = `
+    <svg width="${THUMBNAIL_WIDTH}" height="${THUMBNAIL_HEIGHT}" xmlns="http://www.w3.org/2000/svg">
+      <style>text { font-family: sans-serif; font-weight: bold; fill: ${textColor}; }</style>
+      <text x="640" y="290" font-size="96" text-anchor="middle">${escapeMarkup(match.teamA)}</text>
+      <text x="640" y="390" font-size="64" text-anchor="middle">vs</text>
+      <text x="640" y="490" font-size="96" text-anchor="middle">${escapeMarkup(match.teamB)}</text>
+      <text x="640" y="650" font-size="40" text-anchor="middle">${escapeMarkup(match.title)}</text>
+    </svg>`;
+
+  const background = template.image
+    ? sharp(template.image).resize(THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT, {
+        fit: "cover",
+      })
+    : sharp({
+        create: {
+          width: THUMBNAIL_WIDTH,
+          height: THUMBNAIL_HEIGHT,
+          channels: 3,
+          background: template.backgroundColor || "#1a1a2e",
+        },
+      });
+
+  return background
+    .composite([{ input: Buffer.from(overlay) }])
+    .jpeg({ quality: 85 })
+    .toBuffer();
+};
+
+const setBroadcastThumbnail = async (
+  oauth2Client,
+  broadcastId,
+  image,
+  mimeType
+) => {
+  const youtube = getYoutube();
+  await youtube.thumbnails.set({
+    auth: oauth2Client,
+    videoId: broadcastId,
+    media: { mimeType, body: Readable.from(image) },
+  });
+};
+
+// Push the same thumbnail to the academy and company broadcasts
+const applyMatchThumbnail = async (match, image, mimeType, source) => {
+  const academy = await Academy.findOne({ academyId: match.academyId });
+  if (!academy || !academy.youtubeTokens) {
+    throw new Error("Academy not authenticated");
+  }
+
+  await Promise.all([
+    setBroadcastThumbnail(
+      getAcademyOAuthClient(academy),
+      match.academyBroadcastId,
+      image,
+      mimeType
+    ),
+    setBroadcastThumbnail(
+      await getCompanyOAuthClient(academy),
+      match.companyBroadcastId,
+      image,
+      mimeType
+    ),
+  ]);
+
+  match.thumbnailSource = source;
+  match.thumbnailUpdatedAt = new Date();
+  await match.save();
+};
+
+const findMatchWithBroadcasts = async (matchId, res) => {
+  const match = await Match.findOne({ matchId });
+  if (!match) {
+    res.status(404).json({ error: "Match not found" });
+    return null;
+  }
+  if (!match.academyBroadcastId || !match.companyBroadcastId) {
+    res
+      .status(400)
+      .json({ error: "Match broadcasts have not been created yet" });
+    return null;
+  }
+  return match;
+};
+
+app.post(
+  "/matches/:matchId/thumbnail",
+  allow(MANAGE_ROLES),
+  uploadImage("thumbnail"),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: "Thumbnail image is required" });
+      }
+      const match = await findMatchWithBroadcasts(req.params.matchId, res);
+      if (!match) return;
+
+      await applyMatchThumbnail(
+        match,
+        req.file.buffer,
+        req.file.mimetype,
+        "uploaded"
+      );
+      res.json(match);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+app.get(
+  "/matches/:matchId/thumbnail/preview",
+  allow(ROLES),
+  async (req, res) => {
+    try {
+      const match = await Match.findOne({ matchId: req.params.matchId });
+      if (!match) {
+        return res.status(404).json({ error: "Match not found" });
       }
+      const academy = await Academy.findOne({
+        academyId: match.academyId,
+      }).select("+thumbnailTemplate.image");
+
+      const image = await renderMatchThumbnail(academy, match);
+      res.type("jpeg").send(image);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
 
-      const stream = streamDetailsResponse.data.items[0];
+app.post(
+  "/matches/:matchId/thumbnail/generate",
+  allow(MANAGE_ROLES),
+  async (req, res) => {
+    try {
+      const match = await findMatchWithBroadcasts(req.params.matchId, res);
+      if (!match) return;
+      const academy = await Academy.findOne({
+        academyId: match.academyId,
+      }).select("+thumbnailTemplate.image");
 
-      return {
-        broadcastStatus: broadcast.status.lifeCycleStatus,
-        streamStatus: stream.status.streamStatus,
-        healthStatus: stream.status.healthStatus?.status || null,
-      };
-    };
+      const image = await renderMatchThumbnail(academy, match);
+      await applyMatchThumbnail(match, image, "image/jpeg", "generated");
+      res.json(match);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
 
-    // Function to attempt transition to live
-    const attemptTransition = async (retryCount = 0) => {
-      const health = await checkStreamHealth();
+app.put(
+  "/academies/:academyId/thumbnail-template",
+  allow(MANAGE_ROLES),
+  uploadImage("image"),
+  async (req, res) => {
+    const { textColor, backgroundColor } = req.body;
 
-      if (health.broadcastStatus === "live") {
-        return {
-          success: true,
-          message: "Broadcast is already live",
-          status: health.broadcastStatus,
-        };
+    try {
+      if (
+        (textColor && !HEX_COLOR.test(textColor)) ||
+        (backgroundColor && !HEX_COLOR.test(backgroundColor))
+      ) {
+        return res
+          .status(400)
+          .json({ error: "Colors must be hex values like #ffffff" });
       }
 
-      if (health.streamStatus !== "active") {
-        throw new Error(
-          `Stream is not active. Current status: ${health.streamStatus}`
-        );
+      const update = {};
+      if (req.file) update["thumbnailTemplate.image"] = req.file.buffer;
+      if (textColor) update["thumbnailTemplate.textColor"] = textColor;
+      if (backgroundColor) {
+        update["thumbnailTemplate.backgroundColor"] = backgroundColor;
       }
 
-      if (health.healthStatus !== "good") {
-        throw new Error(
-          `Stream health is not good. Current health: ${health.healthStatus}`
-        );
+      const academy = await Academy.findOneAndUpdate(
+        { academyId: req.params.academyId },
+        { $set: update },
+        { new: true }
+      );
+      if (!academy) {
+        return res.status(404).json({ error: "Academy not found" });
       }
+      res.json(academy);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
 
-      try {
-        // Ensure we're in testing state first
-        if (health.broadcastStatus !== "testing") {
-          await youtube.liveBroadcasts.transition({
-            auth: oauth2Client,
-            broadcastStatus: "testing",
-            id: broadcastId,
-            part: "id,status",
-          });
+// Live Scores
+// Each push updates the title on both channels. Pushes are spaced so one
+// live match spends at most SCORE_QUOTA_PER_HOUR units (default 600, one
+// push every 10 minutes).
+const scoreUpdateInterval = () => {
+  const unitsPerHour = Number(process.env.SCORE_QUOTA_PER_HOUR) || 600;
+  return (60 * 60 * 1000 * 2 * QUOTA_COSTS.update) / unitsPerHour;
+};
+const SCORE_EVENT_TYPES = ["goal", "runs", "wicket", "period"];
+const MAX_TITLE_LENGTH = 100;
+const pendingScoreUpdates = new Map();
 
-          // Wait for testing state to stabilize
-          await new Promise((resolve) => setTimeout(resolve, 3000));
-        }
+const formatScore = (match) => {
+  const { score } = match;
+  const side = (runs, wickets) =>
+    wickets === undefined || wickets === null
+      ? `${runs}`
+      : `${runs}/${wickets}`;
+  const line = `${match.teamA} ${side(score.teamA, score.teamAWickets)} - ${side(
+    score.teamB,
+    score.teamBWickets
+  )} ${match.teamB}`;
+  return score.period ? `${line} (${score.period})` : line;
+};
 
-        // Now try to go live
-        const result = await youtube.liveBroadcasts.transition({
-          auth: oauth2Client,
-          broadcastStatus: "live",
-          id: broadcastId,
-          part: "id,status",
-        });
+const applyScoreEvent = (match, { type, team, value }) => {
+  const key = team === "B" ? "teamB" : "teamA";
+
+  switch (type) {
+    case "goal":
+      match.score[key] += Number(value ?? 1);
+      break;
+    case "runs":
+      match.score[key] += Number(value);
+      break;
+    case "wicket":
+      match.score[`${key}Wickets`] = (match.score[`${key}Wickets`] || 0) + 1;
+      break;
+    case "period":
+      match.score.period = value;
+      break;
+  }
+
+  match.score.updatedAt = new Date();
+  match.scoreEvents.push({ type, team, value });
+};
+
+// Long match titles are shortened so the score always fits
+const scoreTitle = (matchTitle, score) => {
+  const suffix = ` | ${score}`;
+  const room = MAX_TITLE_LENGTH - suffix.length;
+  const shortened =
+    matchTitle.length > room
+      ? `${matchTitle.slice(0, Math.max(room - 1, 0)).trimEnd()}…`
+      : matchTitle;
+  return `${shortened}${suffix}`;
+};
+
+const updateBroadcastSnippet = async (
+  oauth2Client,
+  broadcastId,
+  match,
+  title,
+  description
+) => {
+  const youtube = getYoutube();
+  await youtube.liveBroadcasts.update({
+    auth: oauth2Client,
+    part: "snippet",
+    requestBody: {
+      id: broadcastId,
+      snippet: {
+        title: title.slice(0, MAX_TITLE_LENGTH),
+        description,
+        scheduledStartTime: new Date(match.startTime).toISOString(),
+      },
+    },
+  });
+};
+
+// Rewrite title and description on both channels from the stored score
+const pushScore = async (match, isFinal = false) => {
+  const academy = await Academy.findOne({ academyId: match.academyId });
+  const scoreLine = formatScore(match);
+  const title = scoreTitle(match.title, `${isFinal ? "FT " : ""}${scoreLine}`);
+  const description = `${match.teamA} vs ${match.teamB}\n${
+    isFinal ? "Final score" : "Score"
+  }: ${scoreLine}`;
+
+  await Promise.all([
+    match.academyBroadcastId &&
+      updateBroadcastSnippet(
+        getAcademyOAuthClient(academy),
+        match.academyBroadcastId,
+        match,
+        title,
+        description
+      ),
+    match.companyBroadcastId &&
+      updateBroadcastSnippet(
+        await getCompanyOAuthClient(academy),
+        match.companyBroadcastId,
+        match,
+        title,
+        description
+      ),
+  ]);
+
+  match.scorePushedAt = new Date();
+  await match.save();
+};
+
+// Push right away when outside the interval, otherwise once it elapses
+const scheduleScorePush = (match) => {
+  if (pendingScoreUpdates.has(match.matchId)) {
+    return;
+  }
+
+  const elapsed = match.scorePushedAt
+    ? Date.now() - match.scorePushedAt.getTime()
+    : Infinity;
+  const delay = Math.max(scoreUpdateInterval() - elapsed, 0);
+
+  const timer = setTimeout(async () => {
+    pendingScoreUpdates.delete(match.matchId);
+    try {
+      const latest = await Match.findOne({ matchId: match.matchId });
+      // Live updates give way to going live and ending once quota runs low;
+      // the final score is still written
+      if (latest && latest.status === "live") {
+        await withQuotaPriority("low", () => pushScore(latest));
+      }
+    } catch (error) {
+      console.error(`Error pushing score for ${match.matchId}:`, error);
+    }
+  }, delay);
+  pendingScoreUpdates.set(match.matchId, timer);
+};
+
+const writeFinalScore = async (match) => {
+  clearTimeout(pendingScoreUpdates.get(match.matchId));
+  pendingScoreUpdates.delete(match.matchId);
+  if (!match.score?.updatedAt) {
+    return;
+  }
+
+  try {
+    await pushScore(match, true);
+  } catch (error) {
+    console.error(`Error writing final score for ${match.matchId}:`, error);
+  }
+};
+
+app.post("/matches/:matchId/score", allow(ROLES), async (req, res) => {
+  const { type, team, value } = req.body;
+
+  try {
+    if (!SCORE_EVENT_TYPES.includes(type)) {
+      return res.status(400).json({
+        error: `type must be one of ${SCORE_EVENT_TYPES.join(", ")}`,
+      });
+    }
+    if (type !== "period" && !["A", "B"].includes(team)) {
+      return res.status(400).json({ error: "team must be A or B" });
+    }
+    if (
+      (type === "runs" && isNaN(Number(value))) ||
+      (type === "goal" && value !== undefined && isNaN(Number(value))) ||
+      (type === "period" && !value)
+    ) {
+      return res.status(400).json({ error: "Invalid value for event" });
+    }
+
+    const match = await Match.findOne({ matchId: req.params.matchId });
+    if (!match) {
+      return res.status(404).json({ error: "Match not found" });
+    }
+    if (match.status !== "live") {
+      return res
+        .status(400)
+        .json({ error: `Cannot score a match that is ${match.status}` });
+    }
+
+    applyScoreEvent(match, { type, team, value });
+    await match.save();
+    scheduleScorePush(match);
+
+    res.json({ score: match.score, scoreLine: formatScore(match) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Live Events
+const SSE_HEARTBEAT_INTERVAL = 25 * 1000; // keep proxies from closing idle streams
+const matchEvents = new EventEmitter();
+matchEvents.setMaxListeners(0); // one listener per open dashboard
+matchEvents.on("event", handleMatchEvent);
+
+const publishMatchEvent = (match, type, data = {}) => {
+  matchEvents.emit("event", {
+    type,
+    matchId: match.matchId,
+    academyId: match.academyId,
+    at: new Date(),
+    ...data,
+  });
+};
+
+const streamMatchEvents = async (req, res, filter) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+
+  const send = (event) => {
+    if (
+      (filter.matchId && event.matchId !== filter.matchId) ||
+      (filter.academyId && event.academyId !== filter.academyId)
+    ) {
+      return;
+    }
+    res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  const heartbeat = setInterval(
+    () => res.write(": heartbeat\n\n"),
+    SSE_HEARTBEAT_INTERVAL
+  );
+  matchEvents.on("event", send);
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    matchEvents.off("event", send);
+  });
+
+  // Start every client from the current state instead of waiting for a change
+  const matches = await Match.find({
+    ...filter,
+    status: { $in: ["scheduled", "created", "live"] },
+  });
+  matches.forEach((match) =>
+    send({
+      type: "snapshot",
+      matchId: match.matchId,
+      academyId: match.academyId,
+      at: new Date(),
+      status: match.status,
+      lastObservedHealth: match.lastObservedHealth,
+    })
+  );
+};
+
+app.get("/academies/:academyId/events", allow(ROLES), async (req, res) => {
+  try {
+    const academy = await Academy.findOne({ academyId: req.params.academyId });
+    if (!academy) {
+      return res.status(404).json({ error: "Academy not found" });
+    }
+    await streamMatchEvents(req, res, { academyId: academy.academyId });
+  } catch (error) {
+    console.error("Error streaming academy events:", error);
+    res.end();
+  }
+});
+
+app.get("/matches/:matchId/events", allow(ROLES), async (req, res) => {
+  try {
+    const match = await Match.findOne({ matchId: req.params.matchId });
+    if (!match) {
+      return res.status(404).json({ error: "Match not found" });
+    }
+    await streamMatchEvents(req, res, { matchId: match.matchId });
+  } catch (error) {
+    console.error("Error streaming match events:", error);
+    res.end();
+  }
+});
+
+// RTMP Relay, started with RELAY_ENABLED=true
+const isRelayEnabled = () => process.env.RELAY_ENABLED === "true";
+
+// Where a ground's encoder pushes when the relay fans out for it
+const relayIngest = (req, ground) => ({
+  ingestionAddress:
+    process.env.RELAY_PUBLIC_URL ||
+    `rtmp://${req.hostname}:${relayPort()}/live`,
+  streamKey: ground.streamKey,
+});
+
+const youtubePushUrl = async (oauth2Client, streamId) => {
+  const response = await getYoutube().liveStreams.list({
+    auth: oauth2Client,
+    part: "cdn",
+    id: streamId,
+  });
+  if (!response.data.items.length) {
+    throw new Error(`Stream ${streamId} not found`);
+  }
+  return toPushUrl(response.data.items[0].cdn.ingestionInfo);
+};
+
+// Relay a ground's feed to every destination of its current match
+const resolveRelayPublish = async (streamKey) => {
+  const academy = await Academy.findOne({ "grounds.streamKey": streamKey });
+  const ground = academy?.grounds.find((g) => g.streamKey === streamKey);
+  if (!ground) {
+    return null;
+  }
 
+  // Imported fixtures hold their broadcasts long before they are played
+  const match = await Match.findOne({
+    academyId: academy.academyId,
+    groundId: ground.groundId,
+    status: { $in: GROUND_BUSY_STATUSES },
+    startTime: { $lte: new Date(Date.now() + BROADCAST_LEAD_TIME) },
+  }).sort({ startTime: -1 });
+  if (!match?.destinations.length) {
+    return null;
+  }
+
+  const clients = await getMatchOAuthClients(match);
+  const destinations = await Promise.all(
+    match.destinations.map(async ({ destinationId, provider }) => {
+      if (provider === "youtube") {
+        const isCompany = destinationId === "youtube-company";
         return {
-          success: true,
-          message: "Stream started successfully",
-          status: result.data.status.lifeCycleStatus,
+          destinationId,
+          pushUrl: await youtubePushUrl(
+            isCompany ? clients.company : clients.academy,
+            isCompany ? match.companyStreamId : match.academyStreamId
+          ),
         };
-      } catch (error) {
-        if (retryCount < MAX_RETRIES) {
-          // Wait before retrying
-          await new Promise((resolve) =>
-            setTimeout(resolve, DELAY_BETWEEN_RETRIES)
-          );
-          return attemptTransition(retryCount + 1);
+      }
+
+      const destination = ground.destinations.find(
+        (d) => d.destinationId === destinationId
+      );
+      return destination
+        ? { destinationId, pushUrl: toPushUrl(rtmpIngest(destination)) }
+        : null;
+    })
+  );
+
+  return {
+    matchId: match.matchId,
+    academyId: match.academyId,
+    destinations: destinations.filter(Boolean),
+  };
+};
+
+const recordRelayStatus = async (target, destinationId, relay) => {
+  try {
+    const updatedAt = new Date();
+    await Match.updateOne(
+      { matchId: target.matchId },
+      { $set: { "destinations.$[d].relay": { ...relay, updatedAt } } },
+      { arrayFilters: [{ "d.destinationId": destinationId }] }
+    );
+    // The relay is the only feedback a plain RTMP destination has
+    if (relay.status === "live") {
+      await Match.updateOne(
+        { matchId: target.matchId },
+        {
+          $set: {
+            "destinations.$[d].status": "live",
+            "destinations.$[d].updatedAt": updatedAt,
+          },
+        },
+        {
+          arrayFilters: [
+            {
+              "d.destinationId": destinationId,
+              "d.provider": "rtmp",
+              "d.status": "ready",
+            },
+          ],
         }
-        throw error;
+      );
+    }
+    publishMatchEvent(target, "relay", { destinationId, ...relay });
+  } catch (error) {
+    console.error("Error recording relay status:", error);
+  }
+};
+
+// Dry-run Routes, only available with FAKE_YOUTUBE=true
+const requireFakeYoutube = (req, res, next) => {
+  if (!getYoutube().isFake) {
+    return res.status(404).json({ error: "Not found" });
+  }
+  next();
+};
+
+// Store placeholder tokens so a channel counts as connected without Google
+app.post(
+  "/dev/connect",
+  allow(["admin"]),
+  requireFakeYoutube,
+  async (req, res) => {
+    const { academyId, companyId } = req.body;
+
+    try {
+      const youtubeTokens = encryptTokens({
+        access_token: `fake-${academyId || companyId}`,
+        refresh_token: `fake-${academyId || companyId}`,
+      });
+      const updated = academyId
+        ? await Academy.findOneAndUpdate(
+            { academyId },
+            { youtubeTokens },
+            { new: true }
+          )
+        : await Company.findOneAndUpdate(
+            { companyId },
+            { youtubeTokens },
+            { new: true }
+          );
+      if (!updated) {
+        return res.status(404).json({ error: "Academy or company not found" });
       }
-    };
+      res.json(updated);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
 
-    // Start the transition process
-    const result = await attemptTransition();
-    res.json(result);
+// Simulate an encoder connecting, dropping or degrading
+app.post(
+  "/dev/streams/:streamId/status",
+  allow(["admin"]),
+  requireFakeYoutube,
+  async (req, res) => {
+    const { streamStatus = "active", healthStatus = "good" } = req.body;
+
+    try {
+      const stream = getYoutube().setStreamStatus(
+        req.params.streamId,
+        streamStatus,
+        healthStatus
+      );
+      res.json({ id: stream.id, status: stream.status });
+    } catch (error) {
+      res.status(error.code || 500).json({ error: error.message });
+    }
+  }
+);
+
+// Job Routes
+app.get("/jobs/:jobId", allow(ROLES), async (req, res) => {
+  try {
+    const job = await Job.findOne({ jobId: req.params.jobId });
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    res.json(job);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Quota Routes
+app.get("/quota/usage", allow(["admin"]), async (req, res) => {
+  try {
+    res.json(await getQuotaUsage({ day: req.query.day }));
   } catch (error) {
-    // Get final status for error reporting
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get(
+  "/academies/:academyId/quota/usage",
+  allow(MANAGE_ROLES),
+  async (req, res) => {
     try {
-      const finalHealth = await checkStreamHealth();
-      res.status(400).json({
-        error: "Failed to transition to live state",
-        details: error.message,
-        currentStatus: finalHealth.broadcastStatus,
-        streamStatus: finalHealth.streamStatus,
-        healthStatus: finalHealth.healthStatus,
+      res.json(
+        await getQuotaUsage({
+          day: req.query.day,
+          academyId: req.params.academyId,
+        })
+      );
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+// API Key Routes
+app.post("/api-keys", allow(MANAGE_ROLES), async (req, res) => {
+  const { name, role, academyId } = req.body;
+  let { companyId } = req.body;
+
+  try {
+    if (!name || !ROLES.includes(role)) {
+      return res
+        .status(400)
+        .json({ error: `name and a role of ${ROLES.join(", ")} are required` });
+    }
+    if (role === "company_admin" && !companyId) {
+      return res.status(400).json({ error: "companyId is required" });
+    }
+    if (["academy_admin", "scorer"].includes(role)) {
+      const academy = await Academy.findOne({ academyId });
+      if (!academy) {
+        return res.status(404).json({ error: "Academy not found" });
+      }
+      companyId = academy.companyId;
+    }
+
+    const fields = { name, role, companyId, academyId };
+    if (!(await canManageKey(req.apiKey, fields))) {
+      return res.status(403).json({ error: "Not allowed to create this key" });
+    }
+
+    const { apiKey, key } = await createApiKey({
+      ...fields,
+      createdBy: req.apiKey.keyId,
+    });
+
+    // The key itself is only shown once, when it is created
+    res.json({ ...apiKey.toObject(), keyHash: undefined, key });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get("/api-keys", allow(MANAGE_ROLES), async (req, res) => {
+  try {
+    const { apiKey } = req;
+    let filter = {};
+    if (apiKey.role === "company_admin") {
+      filter = { companyId: apiKey.companyId };
+    } else if (apiKey.role === "academy_admin") {
+      filter = { academyId: apiKey.academyId };
+    }
+
+    const apiKeys = await ApiKey.find(filter).sort({ createdAt: -1 });
+    res.json(apiKeys);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete("/api-keys/:keyId", allow(MANAGE_ROLES), async (req, res) => {
+  try {
+    const apiKey = await ApiKey.findOne({ keyId: req.params.keyId });
+    if (!apiKey) {
+      return res.status(404).json({ error: "API key not found" });
+    }
+    if (!(await canManageKey(req.apiKey, apiKey))) {
+      return res.status(403).json({ error: "Not allowed to revoke this key" });
+    }
+
+    apiKey.revokedAt = apiKey.revokedAt || new Date();
+    await apiKey.save();
+    res.json(apiKey);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Webhook Routes
+app.post(
+  "/academies/:academyId/webhooks",
+  allow(MANAGE_ROLES),
+  async (req, res) => {
+    const { url, events = WEBHOOK_EVENTS } = req.body;
+
+    try {
+      const urlError = await checkWebhookUrl(url);
+      if (urlError) {
+        return res.status(400).json({ error: urlError });
+      }
+      const unknown = []
+        .concat(events)
+        .filter((e) => !WEBHOOK_EVENTS.includes(e));
+      if (unknown.length) {
+        return res
+          .status(400)
+          .json({ error: `Unknown events: ${unknown.join(", ")}` });
+      }
+
+      const academy = await Academy.findOne({
+        academyId: req.params.academyId,
       });
-    } catch (statusError) {
-      res.status(500).json({
-        error: "Failed to transition to live state",
-        details: error.message,
-        additionalError: "Could not fetch final status",
+      if (!academy) {
+        return res.status(404).json({ error: "Academy not found" });
+      }
+
+      const webhook = new Webhook({
+        webhookId: `${academy.academyId}-webhook-${Date.now()}`,
+        academyId: academy.academyId,
+        url: new URL(url).toString(),
+        events: [].concat(events),
+        secret: generateWebhookSecret(),
       });
+      await webhook.save();
+
+      // The secret is only shown once, when the webhook is registered
+      res.json({ ...webhook.toObject(), secret: webhook.secret });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
     }
   }
-});
+);
+
+app.get(
+  "/academies/:academyId/webhooks",
+  allow(MANAGE_ROLES),
+  async (req, res) => {
+    try {
+      const webhooks = await Webhook.find({ academyId: req.params.academyId });
+      res.json(webhooks);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+app.delete(
+  "/academies/:academyId/webhooks/:webhookId",
+  allow(MANAGE_ROLES),
+  async (req, res) => {
+    try {
+      const webhook = await Webhook.findOneAndUpdate(
+        { academyId: req.params.academyId, webhookId: req.params.webhookId },
+        { active: false },
+        { new: true }
+      );
+      if (!webhook) {
+        return res.status(404).json({ error: "Webhook not found" });
+      }
+      res.json(webhook);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+app.get(
+  "/academies/:academyId/webhooks/:webhookId/deliveries",
+  allow(MANAGE_ROLES),
+  async (req, res) => {
+    const { status, limit } = req.query;
+
+    try {
+      const filter = {
+        academyId: req.params.academyId,
+        webhookId: req.params.webhookId,
+      };
+      if (status) filter.status = status;
+
+      const deliveries = await WebhookDelivery.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(Math.min(Number(limit) || 100, 1000));
+      res.json(deliveries);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
 
 app.listen(process.env.PORT || 3000, () => {
   console.log(`Server running on port ${process.env.PORT || 3000}`);
+  // Scheduled steps may mirror right away, so companies are migrated first
+  migrateCompanyIds().then(restoreScheduledMatches).then(restoreArmedMatches);
+  restoreWebhookDeliveries();
+  failInterruptedJobs();
+  schedule.scheduleJob(CONNECTION_CHECK_SCHEDULE, () =>
+    withQuotaPriority("low", checkAllConnections)
+  );
+  if (isRelayEnabled()) {
+    startRelay({
+      resolvePublish: resolveRelayPublish,
+      onStatusChange: recordRelayStatus,
+    });
+  }
+  startStreamStatusChecker({
+    Match,
+    getMatchChannelClient,
+    onHealthChange: (match, sample) =>
+      publishMatchEvent(match, "health", {
+        matchStatus: match.status,
+        channel: sample.channel,
+        streamStatus: sample.streamStatus,
+        healthStatus: sample.healthStatus,
+        configurationIssues: sample.configurationIssues,
+        error: sample.error,
+      }),
+  });
 });
@@ -0,0 +1,177 @@
+export const MAX_FIXTURE_FILE_SIZE = 1024 * 1024; // 1MB
+export const MAX_FIXTURE_ROWS = 500;
+const FIXTURE_FIELDS = [
+  "ground",
+  "groundId",
+  "title",
+  "teamA",
+  "teamB",
+  "startTime",
+  "endTime",
+];
+
+// Split CSV text into rows of cells. Quoted cells may hold commas, quotes
+// ("") and line breaks.
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) {
+    throw new Error("CSV has an unclosed quote");
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((value) => value.trim()));
+};
+
+// Headers are matched without regard to case, spaces or underscores
+const fieldForHeader = (header) => {
+  const key = header.replace(/[\s_]/g, "").toLowerCase();
+  return FIXTURE_FIELDS.find((field) => field.toLowerCase() === key) || header;
+};
+
+const parseCsv = (text) => {
+  const [header, ...rows] = parseCsvRows(text);
+  if (!header) {
+    return [];
+  }
+  const fields = header.map((name) => fieldForHeader(name.trim()));
+  return rows.map((cells) =>
+    Object.fromEntries(
+      fields.map((field, index) => [field, cells[index]?.trim() ?? ""])
+    )
+  );
+};
+
+// Accepts a list of fixtures or { fixtures: [...] }
+const parseJson = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+  const fixtures = Array.isArray(data) ? data : data?.fixtures;
+  if (!Array.isArray(fixtures)) {
+    throw new Error("JSON must be a list of fixtures or { fixtures: [...] }");
+  }
+  return fixtures.map((fixture) =>
+    fixture && typeof fixture === "object" && !Array.isArray(fixture)
+      ? Object.fromEntries(
+          Object.entries(fixture).map(([key, value]) => [
+            fieldForHeader(key),
+            value,
+          ])
+        )
+      : {}
+  );
+};
+
+export const isJsonFile = (file) =>
+  file.mimetype === "application/json" || /\.json$/i.test(file.originalname);
+
+export const isCsvFile = (file) =>
+  ["text/csv", "application/vnd.ms-excel", "text/plain"].includes(
+    file.mimetype
+  ) || /\.csv$/i.test(file.originalname);
+
+// Turn an uploaded file into plain fixture objects, one per row
+export const parseFixtureFile = (file) => {
+  const text = file.buffer.toString("utf8").replace(/^\uFEFF/, "");
+  const fixtures = isJsonFile(file) ? parseJson(text) : parseCsv(text);
+  if (!fixtures.length) {
+    throw new Error("File has no fixtures");
+  }
+  if (fixtures.length > MAX_FIXTURE_ROWS) {
+    throw new Error(`A file may hold at most ${MAX_FIXTURE_ROWS} fixtures`);
+  }
+  return fixtures;
+};
+
+const cellText = (value) =>
+  value === undefined || value === null ? "" : String(value).trim();
+
+// Grounds may be given by ID or by title
+const findFixtureGround = (grounds, value) => {
+  const key = value.toLowerCase();
+  return (
+    grounds.find((g) => g.groundId === value) ||
+    grounds.find((g) => g.title?.toLowerCase() === key)
+  );
+};
+
+// Check one fixture against the academy's grounds. Returns the fields a
+// match is created from and every problem found, so a report can list
+// them all at once.
+export const validateFixture = (input, grounds, now = new Date()) => {
+  const errors = [];
+  const groundValue = cellText(input.groundId) || cellText(input.ground);
+  const teamA = cellText(input.teamA);
+  const teamB = cellText(input.teamB);
+  const startTime = new Date(cellText(input.startTime));
+  const endTime = new Date(cellText(input.endTime));
+
+  const ground = groundValue && findFixtureGround(grounds, groundValue);
+  if (!groundValue) {
+    errors.push("ground is required");
+  } else if (!ground) {
+    errors.push(`Ground not found: ${groundValue}`);
+  }
+  if (!teamA || !teamB) {
+    errors.push("teamA and teamB are required");
+  }
+  if (isNaN(startTime) || isNaN(endTime)) {
+    errors.push("Valid startTime and endTime are required");
+  } else if (endTime <= startTime || endTime <= now) {
+    errors.push("endTime must be after startTime and in the future");
+  }
+
+  return {
+    fixture: {
+      groundId: ground?.groundId,
+      title: cellText(input.title) || `${teamA} vs ${teamB}`,
+      teamA,
+      teamB,
+      startTime: isNaN(startTime) ? undefined : startTime,
+      endTime: isNaN(endTime) ? undefined : endTime,
+    },
+    errors,
+  };
+};
+
+export const fixturesOverlap = (a, b) =>
+  a.groundId === b.groundId &&
+  a.startTime < b.endTime &&
+  b.startTime < a.endTime;
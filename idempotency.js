@@ -0,0 +1,108 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { encryptTokens, decryptTokens } from "./tokenCrypto.js";
+
+const IDEMPOTENCY_WINDOW = 24 * 60 * 60; // 24 hours, in seconds for the TTL index
+const PENDING_TIMEOUT = 5 * 60 * 1000; // 5 minutes
+const MAX_KEY_LENGTH = 255;
+
+// Idempotency Key Schema
+const IdempotencyKeySchema = new mongoose.Schema({
+  key: { type: String, required: true },
+  scope: { type: String, required: true },
+  requestHash: { type: String, required: true },
+  status: { type: String, enum: ["pending", "completed"], default: "pending" },
+  responseStatus: { type: Number },
+  responseBody: { type: Object },
+  createdAt: { type: Date, default: Date.now, expires: IDEMPOTENCY_WINDOW },
+});
+IdempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+
+const IdempotencyKey = mongoose.model("IdempotencyKey", IdempotencyKeySchema);
+
+const hashRequest = (req) =>
+  crypto
+    .createHash("sha256")
+    .update(JSON.stringify([req.method, req.path, req.body]))
+    .digest("hex");
+
+// Keep the response so a repeat gets it back. Server errors are dropped so
+// the same key can be retried once whatever went wrong is fixed. Go-live
+// responses carry stream keys, so bodies are stored encrypted.
+const captureResponse = (res, record) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const stored =
+      res.statusCode >= 500
+        ? IdempotencyKey.deleteOne({ _id: record._id })
+        : IdempotencyKey.updateOne(
+            { _id: record._id },
+            {
+              status: "completed",
+              responseStatus: res.statusCode,
+              responseBody: encryptTokens(body),
+            }
+          );
+    stored.catch((error) =>
+      console.error("Error storing idempotent response:", error)
+    );
+    return json(body);
+  };
+};
+
+// With an Idempotency-Key header, a request runs once per key and caller;
+// repeats within the window get the first response back
+export const idempotent = async (req, res, next) => {
+  const key = req.get("idempotency-key");
+  if (!key) {
+    return next();
+  }
+  if (key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      error: `Idempotency-Key must be at most ${MAX_KEY_LENGTH} characters`,
+    });
+  }
+
+  const scope = req.apiKey?.keyId || "anonymous";
+  const requestHash = hashRequest(req);
+
+  try {
+    const record = await IdempotencyKey.create({ key, scope, requestHash });
+    captureResponse(res, record);
+    return next();
+  } catch (error) {
+    if (error.code !== 11000) {
+      return res.status(500).json({ error: error.message });
+    }
+  }
+
+  try {
+    const existing = await IdempotencyKey.findOne({ scope, key });
+    if (!existing) {
+      // Expired between the insert and the lookup
+      return idempotent(req, res, next);
+    }
+    if (existing.requestHash !== requestHash) {
+      return res.status(409).json({
+        error: "Idempotency-Key was already used with a different request",
+      });
+    }
+    if (existing.status === "pending") {
+      // A request that never finished, e.g. the server restarted mid-way
+      if (Date.now() - existing.createdAt > PENDING_TIMEOUT) {
+        await IdempotencyKey.deleteOne({ _id: existing._id });
+        return idempotent(req, res, next);
+      }
+      return res.status(409).json({
+        error: "A request with this Idempotency-Key is still in progress",
+      });
+    }
+
+    res.set("Idempotent-Replayed", "true");
+    res
+      .status(existing.responseStatus)
+      .json(decryptTokens(existing.responseBody));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
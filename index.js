@@ -3,6 +3,7 @@ import { google } from "googleapis";
 import fs from "fs";
 import dotenv from "dotenv";
 import cors from "cors";
+import { encryptTokens, decryptTokens } from "./tokenCrypto.js";
 
 const app = express();
 const PORT = 3000;
@@ -21,12 +22,17 @@ const REDIRECT_URI = process.env.REDIRECT_URI;
 const SCOPES = ["https://www.googleapis.com/auth/youtube.force-ssl"];
 
 const saveTokens = (channelName, tokens) => {
-  fs.writeFileSync(`${channelName}_tokens.json`, JSON.stringify(tokens));
+  fs.writeFileSync(
+    `${channelName}_tokens.json`,
+    JSON.stringify(encryptTokens(tokens))
+  );
 };
 
 const loadTokens = (channelName) => {
   try {
-    return JSON.parse(fs.readFileSync(`${channelName}_tokens.json`));
+    return decryptTokens(
+      JSON.parse(fs.readFileSync(`${channelName}_tokens.json`))
+    );
   } catch (err) {
     return null;
   }
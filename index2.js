@@ -3,6 +3,7 @@ import { google } from "googleapis";
 import fs from "fs";
 import dotenv from "dotenv";
 import cors from "cors";
+import { encryptTokens, decryptTokens } from "./tokenCrypto.js";
 
 const app = express();
 const PORT = 3000;
@@ -20,12 +21,17 @@ const REDIRECT_URI = process.env.REDIRECT_URI;
 const SCOPES = ["https://www.googleapis.com/auth/youtube.force-ssl"];
 
 const saveTokens = (channelName, tokens) => {
-  fs.writeFileSync(`${channelName}_tokens.json`, JSON.stringify(tokens));
+  fs.writeFileSync(
+    `${channelName}_tokens.json`,
+    JSON.stringify(encryptTokens(tokens))
+  );
 };
 
 const loadTokens = (channelName) => {
   try {
-    return JSON.parse(fs.readFileSync(`${channelName}_tokens.json`));
+    return decryptTokens(
+      JSON.parse(fs.readFileSync(`${channelName}_tokens.json`))
+    );
   } catch (err) {
     return null;
   }
@@ -301,10 +307,12 @@ app.post("/go-live-now", async (req, res) => {
 
 app.post("/end-stream", async (req, res) => {
     console.log(req.body)
-  const { title } = req.body;
+  const { title, broadcastIds = {} } = req.body;
 
-  if (!title) {
-    return res.status(400).json({ error: "Stream title is required." });
+  if (!title && !Object.keys(broadcastIds).length) {
+    return res
+      .status(400)
+      .json({ error: "Stream title or broadcast IDs are required." });
   }
 
   const results = [];
@@ -340,21 +348,36 @@ app.post("/end-stream", async (req, res) => {
         oauth2Client.setCredentials(tokens);
         const youtube = google.youtube({ version: "v3", auth: oauth2Client });
 
-        // Search for live broadcasts by title
-        const searchResponse = await youtube.liveBroadcasts.list({
-          part: "id,snippet",
-          broadcastStatus: "active",
-          broadcastType: "all",
-        });
+        let broadcastId = broadcastIds[channel.name];
 
-        const matchingBroadcast = searchResponse.data.items.find(
-          (broadcast) =>
-            broadcast.snippet.title.toLowerCase() === title.toLowerCase()
-        );
+        // Fall back to searching live broadcasts by title
+        if (!broadcastId && title) {
+          const searchResponse = await youtube.liveBroadcasts.list({
+            part: "id,snippet",
+            broadcastStatus: "active",
+            broadcastType: "all",
+          });
+
+          const matchingBroadcasts = searchResponse.data.items.filter(
+            (broadcast) =>
+              broadcast.snippet.title.toLowerCase() === title.toLowerCase()
+          );
+
+          if (matchingBroadcasts.length > 1) {
+            results.push({
+              channelName: channel.name,
+              title,
+              status: "ambiguous",
+              broadcastIds: matchingBroadcasts.map((b) => b.id),
+              message: `More than one live stream is titled "${title}" on ${channel.name}. Pass its broadcast ID instead.`,
+            });
+            continue;
+          }
 
-        if (matchingBroadcast) {
-          const broadcastId = matchingBroadcast.id;
+          broadcastId = matchingBroadcasts[0]?.id;
+        }
 
+        if (broadcastId) {
           // Transition the live broadcast to "complete"
           await youtube.liveBroadcasts.transition({
             part: "status",
@@ -366,7 +389,7 @@ app.post("/end-stream", async (req, res) => {
             channelName: channel.name,
             title,
             status: "success",
-            message: `Stream "${title}" has ended successfully for ${channel.name}.`,
+            message: `Stream "${title || broadcastId}" has ended successfully for ${channel.name}.`,
           });
         } else {
           results.push({
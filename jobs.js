@@ -0,0 +1,84 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+const JOB_RETENTION = 7 * 24 * 60 * 60; // 7 days, in seconds for the TTL index
+
+// Job Schema, for start, end and import operations that outlive their request
+const JobSchema = new mongoose.Schema(
+  {
+    jobId: { type: String, required: true, unique: true },
+    type: { type: String, enum: ["start", "end", "import"], required: true },
+    status: {
+      type: String,
+      enum: ["queued", "running", "succeeded", "failed"],
+      default: "queued",
+    },
+    academyId: { type: String },
+    matchId: { type: String },
+    request: { type: Object },
+    progress: { type: String },
+    attempts: { type: Number, default: 0 },
+    lastHealth: { type: Object },
+    result: { type: Object },
+    error: { type: String },
+    startedAt: { type: Date },
+    finishedAt: { type: Date, expires: JOB_RETENTION },
+  },
+  { timestamps: true }
+);
+
+export const Job = mongoose.model("Job", JobSchema);
+
+const runJob = async (jobId, work) => {
+  const report = (update) =>
+    Job.updateOne({ jobId }, update).catch((error) =>
+      console.error(`Error updating job ${jobId}:`, error)
+    );
+
+  try {
+    await report({ status: "running", startedAt: new Date() });
+    const result = await work(report);
+    await report({
+      status: "succeeded",
+      progress: "Done",
+      result,
+      finishedAt: new Date(),
+    });
+  } catch (error) {
+    console.error(`Job ${jobId} failed:`, error);
+    await report({
+      status: "failed",
+      error: error.message,
+      result: error.result,
+      finishedAt: new Date(),
+    });
+  }
+};
+
+// Record the job and run it after the response is sent. The work gets a
+// report(update) callback for progress, attempts and health snapshots; what
+// it returns becomes the result. Errors may carry a `result` too.
+export const startJob = async (fields, work) => {
+  const job = await Job.create({ ...fields, jobId: crypto.randomUUID() });
+  setImmediate(() => runJob(job.jobId, work));
+  return job;
+};
+
+// Jobs only run in memory, so ones cut off by a restart cannot finish
+export const failInterruptedJobs = async () => {
+  try {
+    const { modifiedCount } = await Job.updateMany(
+      { status: { $in: ["queued", "running"] } },
+      {
+        status: "failed",
+        error: "Interrupted by a server restart",
+        finishedAt: new Date(),
+      }
+    );
+    if (modifiedCount) {
+      console.log(`Marked ${modifiedCount} interrupted jobs as failed`);
+    }
+  } catch (error) {
+    console.error("Error failing interrupted jobs:", error);
+  }
+};
@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+// Companies from before multi-company support have no companyId, and their
+// academies none either; those academies mirrored to the oldest company.
+// Give every company an ID and point those academies at that same company so
+// nothing changes for them. Runs once; later starts find it recorded in the
+// migrations collection and skip it.
+const MIGRATION_ID = "companyIds";
+
+export const migrateCompanyIds = async () => {
+  const companies = mongoose.connection.collection("companies");
+  const academies = mongoose.connection.collection("academies");
+  const migrations = mongoose.connection.collection("migrations");
+  const missing = { $in: [null, ""] };
+
+  try {
+    await mongoose.connection.asPromise();
+    if (await migrations.findOne({ _id: MIGRATION_ID })) {
+      return;
+    }
+
+    let assigned = 0;
+    const legacy = companies.find({ companyId: missing }).sort({ _id: 1 });
+    for await (const company of legacy) {
+      const preferred = process.env.DEFAULT_COMPANY_ID || "default";
+      const companyId = (await companies.findOne({ companyId: preferred }))
+        ? `company-${company._id}`
+        : preferred;
+      await companies.updateOne({ _id: company._id }, { $set: { companyId } });
+      assigned++;
+    }
+    if (assigned) {
+      console.log(`Assigned companyId to ${assigned} companies`);
+    }
+
+    const [first] = await companies.find().sort({ _id: 1 }).limit(1).toArray();
+    if (await academies.countDocuments({ companyId: missing })) {
+      // Try again on the next start once a company exists
+      if (!first) {
+        return;
+      }
+      const { modifiedCount } = await academies.updateMany(
+        { companyId: missing },
+        { $set: { companyId: first.companyId } }
+      );
+      console.log(
+        `Moved ${modifiedCount} academies without a company to ${first.companyId}`
+      );
+    }
+
+    await migrations.insertOne({ _id: MIGRATION_ID, ranAt: new Date() });
+  } catch (error) {
+    console.error("Error migrating company IDs:", error);
+  }
+};
@@ -0,0 +1,104 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+
+const STATE_TTL = 10 * 60 * 1000; // 10 minutes to finish the consent screen
+
+// OAuth State Schema
+const OAuthStateSchema = new mongoose.Schema({
+  nonce: { type: String, required: true, unique: true },
+  target: { type: String, enum: ["academy", "company"], required: true },
+  targetId: { type: String, required: true },
+  keyId: { type: String, required: true },
+  browserHash: { type: String },
+  usedAt: { type: Date },
+  expiresAt: { type: Date, required: true, expires: 0 },
+});
+
+const OAuthState = mongoose.model("OAuthState", OAuthStateSchema);
+
+const stateSecret = () =>
+  process.env.OAUTH_STATE_SECRET || process.env.CLIENT_SECRET;
+
+const hash = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+const sign = (nonce) =>
+  crypto.createHmac("sha256", stateSecret()).update(nonce).digest("base64url");
+
+// Returns the nonce when the signature is valid, otherwise null
+const verify = (state = "") => {
+  const [nonce, signature = ""] = String(state).split(".");
+  const expected = sign(nonce);
+  if (
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    return null;
+  }
+  return nonce;
+};
+
+// Record who is connecting which channel and hand back a signed state
+export const createOAuthState = async ({ target, targetId, keyId }) => {
+  const nonce = crypto.randomBytes(24).toString("base64url");
+  await OAuthState.create({
+    nonce,
+    target,
+    targetId,
+    keyId,
+    expiresAt: new Date(Date.now() + STATE_TTL),
+  });
+  return `${nonce}.${sign(nonce)}`;
+};
+
+// The state a sign-in link carries, while no browser has taken it yet
+export const findOAuthState = async (state) => {
+  const nonce = verify(state);
+  if (!nonce) {
+    return null;
+  }
+  return OAuthState.findOne({
+    nonce,
+    browserHash: null,
+    usedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+// Tie the state to the browser that confirmed it; only the first browser wins
+export const bindOAuthState = async (state) => {
+  const nonce = verify(state);
+  if (!nonce) {
+    return null;
+  }
+
+  const browserNonce = crypto.randomBytes(24).toString("base64url");
+  const bound = await OAuthState.findOneAndUpdate(
+    {
+      nonce,
+      browserHash: null,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { browserHash: hash(browserNonce) }
+  );
+  return bound ? browserNonce : null;
+};
+
+// Use up the state; fails for forged, expired, reused or foreign-browser states
+export const claimOAuthState = async (state, browserNonce) => {
+  const nonce = verify(state);
+  if (!nonce || !browserNonce) {
+    return null;
+  }
+
+  return OAuthState.findOneAndUpdate(
+    {
+      nonce,
+      browserHash: hash(browserNonce),
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
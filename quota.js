@@ -0,0 +1,188 @@
+import { AsyncLocalStorage } from "async_hooks";
+import mongoose from "mongoose";
+
+// Units each YouTube Data API method costs against the daily quota
+export const QUOTA_COSTS = {
+  list: 1,
+  insert: 50,
+  update: 50,
+  delete: 50,
+  bind: 50,
+  transition: 50,
+  set: 50,
+};
+const METERED_RESOURCES = [
+  "liveStreams",
+  "liveBroadcasts",
+  "thumbnails",
+  "videos",
+  "channels",
+];
+
+// Quota Usage Schema, one document per project, academy and quota day
+const QuotaUsageSchema = new mongoose.Schema({
+  day: { type: String, required: true },
+  project: { type: String, required: true },
+  academyId: { type: String, default: null },
+  units: { type: Number, default: 0 },
+  calls: { type: Number, default: 0 },
+  rejected: { type: Number, default: 0 },
+  methods: { type: Map, of: Number, default: {} },
+});
+QuotaUsageSchema.index({ day: 1, project: 1, academyId: 1 }, { unique: true });
+
+const QuotaUsage = mongoose.model("QuotaUsage", QuotaUsageSchema);
+
+// Calls made while handling a request or job inherit its priority
+const priorityContext = new AsyncLocalStorage();
+
+export const withQuotaPriority = (priority, fn) =>
+  priorityContext.run({ priority }, fn);
+
+// YouTube resets quota at midnight Pacific time
+export const quotaDay = (date = new Date()) =>
+  date.toLocaleDateString("en-CA", { timeZone: "America/Los_Angeles" });
+
+// Low and normal priority calls stop once a project has used that share of
+// its daily quota; high priority calls (going live and ending) always go
+// through.
+export const quotaSettings = () => ({
+  dailyLimit: Number(process.env.YOUTUBE_DAILY_QUOTA) || 10000,
+  thresholds: {
+    low: Number(process.env.QUOTA_LOW_PRIORITY_THRESHOLD) || 0.8,
+    normal: Number(process.env.QUOTA_NORMAL_PRIORITY_THRESHOLD) || 0.95,
+    high: Infinity,
+  },
+});
+
+const projectUnits = new Map();
+const loadedProjects = new Map();
+const warnedProjects = new Set();
+
+// Seed the running total from what earlier processes recorded today
+const loadProjectUnits = (key, day, project) => {
+  if (!loadedProjects.has(key)) {
+    loadedProjects.set(
+      key,
+      QuotaUsage.aggregate([
+        { $match: { day, project } },
+        { $group: { _id: null, units: { $sum: "$units" } } },
+      ])
+        .then(([total]) =>
+          projectUnits.set(
+            key,
+            (projectUnits.get(key) || 0) + (total?.units || 0)
+          )
+        )
+        .catch((error) => {
+          // Try again on the next call rather than failing every call
+          loadedProjects.delete(key);
+          throw error;
+        })
+    );
+  }
+  return loadedProjects.get(key);
+};
+
+const recordUsage = (day, project, academyId, update) =>
+  QuotaUsage.updateOne(
+    { day, project, academyId },
+    { $inc: update },
+    { upsert: true }
+  ).catch((error) => console.error("Error recording quota usage:", error));
+
+const quotaError = (project, priority) => {
+  const error = new Error(
+    `YouTube quota for ${project} is reserved for higher priority calls`
+  );
+  error.code = 429;
+  error.errors = [{ reason: "quotaThrottled", priority }];
+  return error;
+};
+
+const meter =
+  (resourceName, methodName, resource) =>
+  async (params = {}) => {
+    const cost = QUOTA_COSTS[methodName];
+    const project = params.auth?._clientId || "default";
+    const academyId = params.auth?.quotaAcademyId || null;
+    const priority = priorityContext.getStore()?.priority || "normal";
+    const day = quotaDay();
+    const key = `${day}:${project}`;
+    const { dailyLimit, thresholds } = quotaSettings();
+
+    await loadProjectUnits(key, day, project);
+    const used = projectUnits.get(key) || 0;
+    if (used + cost > dailyLimit * thresholds[priority]) {
+      recordUsage(day, project, academyId, { rejected: 1 });
+      throw quotaError(project, priority);
+    }
+
+    projectUnits.set(key, used + cost);
+    if (used + cost > dailyLimit * thresholds.low && !warnedProjects.has(key)) {
+      warnedProjects.add(key);
+      console.log(
+        `YouTube quota for ${project} passed ${thresholds.low * 100}%; low priority calls are paused until tomorrow`
+      );
+    }
+    recordUsage(day, project, academyId, {
+      units: cost,
+      calls: 1,
+      [`methods.${resourceName}_${methodName}`]: cost,
+    });
+
+    return resource[methodName](params);
+  };
+
+// Wrap a YouTube client so every call is costed and checked against quota
+export const meterYoutube = (youtube) => {
+  const metered = { ...youtube };
+  METERED_RESOURCES.filter((name) => youtube[name]).forEach((name) => {
+    const resource = youtube[name];
+    metered[name] = Object.create(resource);
+    Object.keys(QUOTA_COSTS)
+      .filter((method) => typeof resource[method] === "function")
+      .forEach((method) => {
+        metered[name][method] = meter(name, method, resource);
+      });
+  });
+  return metered;
+};
+
+export const getQuotaUsage = async ({ day = quotaDay(), academyId } = {}) => {
+  const filter = { day };
+  if (academyId) filter.academyId = academyId;
+  const rows = await QuotaUsage.find(filter).lean();
+  const { dailyLimit, thresholds } = quotaSettings();
+
+  const projects = {};
+  rows.forEach(({ project, units, calls, rejected }) => {
+    projects[project] ||= { project, units: 0, calls: 0, rejected: 0 };
+    projects[project].units += units;
+    projects[project].calls += calls;
+    projects[project].rejected += rejected;
+  });
+
+  return {
+    day,
+    dailyLimit,
+    thresholds: { low: thresholds.low, normal: thresholds.normal },
+    // Per-academy views only see their own share, not the project total
+    projects: academyId
+      ? undefined
+      : Object.values(projects).map((project) => ({
+          ...project,
+          remaining: Math.max(dailyLimit - project.units, 0),
+        })),
+    academies: rows
+      .filter((row) => row.academyId)
+      .map(({ academyId, project, units, calls, rejected, methods }) => ({
+        academyId,
+        project,
+        units,
+        calls,
+        rejected,
+        methods,
+      })),
+  };
+};
@@ -0,0 +1,178 @@
+import { spawn } from "child_process";
+import NodeMediaServer from "node-media-server";
+
+const RELAY_APP = "live";
+const RECONNECT_DELAYS = [2, 5, 10, 30].map((s) => s * 1000);
+
+export const relayPort = () => Number(process.env.RELAY_RTMP_PORT) || 1935;
+
+// Ground encoders push once to rtmp://<host>/live/<streamKey>. Each bound
+// destination gets its own ffmpeg that copies the feed without re-encoding,
+// so one destination dropping never affects the others.
+export const startRelay = ({ resolvePublish, onStatusChange = () => {} }) => {
+  const port = relayPort();
+  const ffmpeg = process.env.FFMPEG_PATH || "ffmpeg";
+  const sessions = new Map();
+
+  const nms = new NodeMediaServer({
+    rtmp: {
+      port,
+      chunk_size: 60000,
+      gop_cache: true,
+      ping: 30,
+      ping_timeout: 60,
+    },
+    logType: 1,
+  });
+
+  const setStatus = (session, output, status, error) => {
+    if (output.status === status && output.error === error) {
+      return;
+    }
+    output.status = status;
+    output.error = error;
+    onStatusChange(session.target, output.destinationId, {
+      status,
+      error,
+      attempts: output.attempts,
+    });
+  };
+
+  const startOutput = (session, output) => {
+    if (session.stopped) {
+      return;
+    }
+    setStatus(
+      session,
+      output,
+      output.attempts ? "reconnecting" : "connecting",
+      output.error
+    );
+
+    // ffmpeg reads the feed back from this server as a local player
+    const child = spawn(
+      ffmpeg,
+      [
+        "-loglevel",
+        "error",
+        "-stats",
+        "-i",
+        `rtmp://127.0.0.1:${port}${session.streamPath}`,
+        "-c",
+        "copy",
+        "-f",
+        "flv",
+        output.pushUrl,
+      ],
+      { stdio: ["ignore", "ignore", "pipe"] }
+    );
+    output.child = child;
+
+    let lastError;
+    child.stderr.on("data", (chunk) => {
+      const text = chunk.toString();
+      if (/frame=|size=/.test(text)) {
+        output.attempts = 0;
+        setStatus(session, output, "live");
+      } else if (text.trim()) {
+        lastError = text.trim().split("\n").pop();
+      }
+    });
+    child.on("error", (error) => {
+      lastError = error.message;
+    });
+    child.on("close", (code) => {
+      output.child = null;
+      if (session.stopped) {
+        return;
+      }
+
+      const delay =
+        RECONNECT_DELAYS[
+          Math.min(output.attempts, RECONNECT_DELAYS.length - 1)
+        ];
+      output.attempts++;
+      setStatus(
+        session,
+        output,
+        "reconnecting",
+        lastError || `ffmpeg exited with code ${code}`
+      );
+      output.timer = setTimeout(() => startOutput(session, output), delay);
+    });
+  };
+
+  const stopSession = (session) => {
+    session.stopped = true;
+    session.outputs.forEach((output) => {
+      clearTimeout(output.timer);
+      output.child?.kill("SIGTERM");
+      setStatus(session, output, "stopped");
+    });
+  };
+
+  // Only the relay's own ffmpeg processes may play streams back
+  nms.on("prePlay", (id) => {
+    const rtmpSession = nms.getSession(id);
+    if (!rtmpSession.isLocal) {
+      rtmpSession.reject();
+    }
+  });
+
+  nms.on("prePublish", (id, streamPath) => {
+    if (!streamPath.startsWith(`/${RELAY_APP}/`)) {
+      nms.getSession(id).reject();
+    }
+  });
+
+  // prePublish cannot wait, so unknown keys are dropped once looked up
+  nms.on("postPublish", async (id, streamPath) => {
+    const streamKey = streamPath.slice(`/${RELAY_APP}/`.length);
+    try {
+      const target = await resolvePublish(streamKey);
+      const rtmpSession = nms.getSession(id);
+      if (!rtmpSession?.isPublishing) {
+        return;
+      }
+      if (!target) {
+        console.log("Rejected relay publish: no match ready on this ground");
+        return rtmpSession.reject();
+      }
+
+      const session = {
+        streamPath,
+        target,
+        outputs: target.destinations.map(({ destinationId, pushUrl }) => ({
+          destinationId,
+          pushUrl,
+          attempts: 0,
+        })),
+      };
+      sessions.set(id, session);
+      session.outputs.forEach((output) => startOutput(session, output));
+      console.log(
+        `Relaying ${target.matchId} to ${session.outputs.length} destinations`
+      );
+    } catch (error) {
+      console.error("Error starting relay:", error);
+      nms.getSession(id)?.reject();
+    }
+  });
+
+  nms.on("donePublish", (id) => {
+    const session = sessions.get(id);
+    if (session) {
+      stopSession(session);
+      sessions.delete(id);
+    }
+  });
+
+  nms.run();
+  console.log(`RTMP relay listening on port ${port}`);
+
+  return () => {
+    sessions.forEach(stopSession);
+    sessions.clear();
+    nms.stop();
+  };
+};
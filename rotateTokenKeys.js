@@ -0,0 +1,65 @@
+import "dotenv/config";
+import mongoose from "mongoose";
+import { needsRotation, rotateTokens } from "./tokenCrypto.js";
+
+// Re-encrypts stored YouTube tokens and ground destination stream keys under
+// TOKEN_ENCRYPTION_KEY. Run after
+// moving the old key to TOKEN_ENCRYPTION_PREVIOUS_KEYS; plaintext records
+// left from before encryption are encrypted too.
+
+const rotateCollection = async (name) => {
+  const collection = mongoose.connection.collection(name);
+  let rotated = 0;
+
+  for await (const doc of collection.find({ youtubeTokens: { $ne: null } })) {
+    if (!needsRotation(doc.youtubeTokens)) {
+      continue;
+    }
+    await collection.updateOne(
+      { _id: doc._id },
+      { $set: { youtubeTokens: rotateTokens(doc.youtubeTokens) } }
+    );
+    rotated++;
+  }
+
+  console.log(`Re-encrypted tokens for ${rotated} ${name}`);
+};
+
+const rotateDestinations = async () => {
+  const collection = mongoose.connection.collection("academies");
+  let rotated = 0;
+
+  for await (const doc of collection.find({
+    "grounds.destinations.0": { $exists: true },
+  })) {
+    let changed = false;
+    const grounds = doc.grounds.map((ground) => ({
+      ...ground,
+      destinations: (ground.destinations || []).map((destination) => {
+        if (!needsRotation(destination.credentials)) {
+          return destination;
+        }
+        changed = true;
+        rotated++;
+        return {
+          ...destination,
+          credentials: rotateTokens(destination.credentials),
+        };
+      }),
+    }));
+    if (changed) {
+      await collection.updateOne({ _id: doc._id }, { $set: { grounds } });
+    }
+  }
+
+  console.log(`Re-encrypted stream keys for ${rotated} destinations`);
+};
+
+await mongoose.connect(process.env.MONGODB_URI);
+try {
+  await rotateCollection("academies");
+  await rotateCollection("companies");
+  await rotateDestinations();
+} finally {
+  await mongoose.disconnect();
+}
@@ -0,0 +1,155 @@
+import { getYoutube } from "./youtubeClient.js";
+import { withQuotaPriority } from "./quota.js";
+import mongoose from "mongoose";
+
+const ACTIVE_MATCH_STATUSES = ["created", "live"];
+const UPCOMING_WINDOW = 15 * 60 * 1000; // 15 minutes before kickoff
+
+// Stream Health Schema
+const StreamHealthSchema = new mongoose.Schema({
+  matchId: { type: String, required: true, index: true },
+  channel: { type: String, enum: ["academy", "company"], required: true },
+  streamId: { type: String },
+  streamStatus: { type: String },
+  healthStatus: { type: String },
+  configurationIssues: [
+    {
+      type: { type: String },
+      severity: { type: String },
+      reason: { type: String },
+      description: { type: String },
+    },
+  ],
+  lastUpdateTime: { type: Date },
+  error: { type: String },
+  checkedAt: { type: Date, default: Date.now, index: true },
+});
+
+const StreamHealth = mongoose.model("StreamHealth", StreamHealthSchema);
+
+const fetchStreamHealth = async (oauth2Client, streamId) => {
+  const youtube = getYoutube();
+  const streamResponse = await youtube.liveStreams.list({
+    auth: oauth2Client,
+    part: "id,status",
+    id: streamId,
+  });
+
+  if (!streamResponse.data.items.length) {
+    throw new Error("Stream not found");
+  }
+
+  const { status } = streamResponse.data.items[0];
+  return {
+    streamStatus: status.streamStatus,
+    healthStatus: status.healthStatus?.status || null,
+    configurationIssues: status.healthStatus?.configurationIssues || [],
+    lastUpdateTime: status.healthStatus?.lastUpdateTimeSeconds
+      ? new Date(Number(status.healthStatus.lastUpdateTimeSeconds) * 1000)
+      : null,
+  };
+};
+
+// The channel's client is fetched here, so a broken connection is recorded
+// as that channel's error and the other channel is still checked
+const recordChannelHealth = async (match, channel, getMatchChannelClient) => {
+  const streamId =
+    channel === "company" ? match.companyStreamId : match.academyStreamId;
+  if (!streamId) {
+    return null;
+  }
+
+  let sample;
+  try {
+    sample = await fetchStreamHealth(
+      await getMatchChannelClient(match, channel),
+      streamId
+    );
+  } catch (error) {
+    sample = { error: error.message };
+  }
+
+  return StreamHealth.create({
+    matchId: match.matchId,
+    channel,
+    streamId,
+    ...sample,
+  });
+};
+
+const checkMatch = (match, getMatchChannelClient) =>
+  Promise.all([
+    recordChannelHealth(match, "academy", getMatchChannelClient),
+    recordChannelHealth(match, "company", getMatchChannelClient),
+  ]);
+
+// Poll stream health for every active match on both channels
+export const startStreamStatusChecker = ({
+  Match,
+  getMatchChannelClient,
+  onHealthChange = () => {},
+}) => {
+  let running = false;
+  const lastSeen = new Map();
+
+  // Only report a sample when its status differs from the previous one. The
+  // match going live counts as a change, so a stream that is still bad by
+  // then gets reported again.
+  const reportChanges = (match, samples) => {
+    samples.filter(Boolean).forEach((sample) => {
+      const key = `${match.matchId}:${sample.channel}`;
+      const status = `${match.status}/${sample.streamStatus}/${sample.healthStatus}/${sample.error}`;
+      if (lastSeen.get(key) !== status) {
+        lastSeen.set(key, status);
+        onHealthChange(match, sample);
+      }
+    });
+  };
+
+  const checkAll = async () => {
+    // Skip a tick rather than overlap when YouTube is slow
+    if (running) {
+      return;
+    }
+    running = true;
+
+    try {
+      // Broadcasts made well ahead of kickoff (fixture imports) have no
+      // encoder to check yet
+      const matches = await Match.find({
+        status: { $in: ACTIVE_MATCH_STATUSES },
+        startTime: { $lte: new Date(Date.now() + UPCOMING_WINDOW) },
+      });
+      await Promise.all(
+        matches.map((match) =>
+          checkMatch(match, getMatchChannelClient)
+            .then((samples) => reportChanges(match, samples))
+            .catch((error) =>
+              console.error(`Health check failed for ${match.matchId}:`, error)
+            )
+        )
+      );
+    } catch (error) {
+      console.error("Error checking stream status:", error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const interval = Number(process.env.STREAM_CHECK_INTERVAL_MS) || 30000;
+  // Monitoring is the first thing to give way when quota runs low
+  const timer = setInterval(() => withQuotaPriority("low", checkAll), interval);
+  console.log(`Stream status checker running every ${interval}ms`);
+  return () => clearInterval(timer);
+};
+
+export const getHealthHistory = ({ matchId, channel, since, limit = 500 }) => {
+  const filter = { matchId };
+  if (channel) filter.channel = channel;
+  if (since) filter.checkedAt = { $gte: new Date(since) };
+
+  return StreamHealth.find(filter)
+    .sort({ checkedAt: -1 })
+    .limit(Math.min(Number(limit) || 500, 5000))
+    .lean();
+};
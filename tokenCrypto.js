@@ -0,0 +1,105 @@
+import crypto from "crypto";
+
+const ALGORITHM = "aes-256-gcm";
+
+const parseKey = (value) => {
+  const key = Buffer.from(value.trim(), "base64");
+  if (key.length !== 32) {
+    throw new Error("Token encryption keys must be 32 bytes, base64 encoded");
+  }
+  return {
+    id: crypto.createHash("sha256").update(key).digest("hex").slice(0, 8),
+    key,
+  };
+};
+
+// Keys listed in TOKEN_ENCRYPTION_PREVIOUS_KEYS can still decrypt until
+// records are rotated.
+const loadKeys = () => {
+  const current = process.env.TOKEN_ENCRYPTION_KEY
+    ? parseKey(process.env.TOKEN_ENCRYPTION_KEY)
+    : null;
+  const previous = (process.env.TOKEN_ENCRYPTION_PREVIOUS_KEYS || "")
+    .split(",")
+    .filter((value) => value.trim())
+    .map(parseKey);
+  return { current, all: [current, ...previous].filter(Boolean) };
+};
+
+const seal = (key, plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), data]
+    .map((part) => part.toString("base64"))
+    .join(".");
+};
+
+const unseal = (key, sealed) => {
+  const [iv, tag, data] = sealed
+    .split(".")
+    .map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]);
+};
+
+const currentKey = () => {
+  const { current } = loadKeys();
+  if (!current) {
+    throw new Error("TOKEN_ENCRYPTION_KEY is not set");
+  }
+  return current;
+};
+
+const unwrapDataKey = (stored) => {
+  const master = loadKeys().all.find((key) => key.id === stored.keyId);
+  if (!master) {
+    throw new Error(`No token encryption key loaded for id ${stored.keyId}`);
+  }
+  return unseal(master.key, stored.wrappedKey);
+};
+
+// Throws unless a valid TOKEN_ENCRYPTION_KEY is set, so the server can
+// refuse to start instead of failing on the first token refresh
+export const assertTokenKey = () => {
+  currentKey();
+};
+
+export const isEncrypted = (stored) => stored?.encrypted === true;
+
+// Tokens are sealed with a fresh data key, which is sealed with the master key
+export const encryptTokens = (tokens) => {
+  const master = currentKey();
+  const dataKey = crypto.randomBytes(32);
+  return {
+    encrypted: true,
+    keyId: master.id,
+    wrappedKey: seal(master.key, dataKey),
+    data: seal(dataKey, Buffer.from(JSON.stringify(tokens))),
+  };
+};
+
+// Records saved before encryption are plain objects and pass through as-is
+export const decryptTokens = (stored) => {
+  if (!isEncrypted(stored)) {
+    return stored;
+  }
+  return JSON.parse(unseal(unwrapDataKey(stored), stored.data).toString());
+};
+
+export const needsRotation = (stored) =>
+  !isEncrypted(stored) || stored.keyId !== currentKey().id;
+
+// Re-seal only the data key under the current master key
+export const rotateTokens = (stored) => {
+  if (!isEncrypted(stored)) {
+    return encryptTokens(stored);
+  }
+  const master = currentKey();
+  return {
+    ...stored,
+    keyId: master.id,
+    wrappedKey: seal(master.key, unwrapDataKey(stored)),
+  };
+};
@@ -0,0 +1,318 @@
+import crypto from "crypto";
+import dns from "dns";
+import http from "http";
+import https from "https";
+import net from "net";
+import mongoose from "mongoose";
+
+export const WEBHOOK_EVENTS = [
+  "match.created",
+  "match.live",
+  "match.unhealthy",
+  "match.ended",
+  "match.failed",
+];
+const RETRY_DELAYS = [10, 60, 300, 1800, 7200].map((s) => s * 1000);
+const DELIVERY_TIMEOUT = 10000; // 10 seconds
+
+// Loopback, private, link-local (cloud metadata), shared and reserved
+// ranges. IPv4-mapped IPv6 addresses are checked against the IPv4 ones.
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+].forEach(([address, prefix]) =>
+  PRIVATE_RANGES.addSubnet(address, prefix, "ipv4")
+);
+[
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([address, prefix]) =>
+  PRIVATE_RANGES.addSubnet(address, prefix, "ipv6")
+);
+
+const isPrivateAddress = (address) =>
+  PRIVATE_RANGES.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+
+const urlHost = (url) => url.hostname.replace(/^\[|\]$/g, "");
+
+// Receivers must be on the public internet, or an academy could probe our
+// own network and read the results from its delivery log. Returns an error
+// message for an unacceptable url, if any.
+export const checkWebhookUrl = async (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return "A valid url is required";
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    return "url must use http or https";
+  }
+
+  const host = urlHost(parsed);
+  let addresses;
+  try {
+    addresses = net.isIP(host)
+      ? [host]
+      : (await dns.promises.lookup(host, { all: true })).map((a) => a.address);
+  } catch (error) {
+    return `Could not resolve ${host}`;
+  }
+  if (addresses.some(isPrivateAddress)) {
+    return "url must point to a public address";
+  }
+  return null;
+};
+
+// Checked again on every connection, since DNS may change after the url
+// was registered
+const publicLookup = (hostname, options, callback) =>
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+    const addresses = Array.isArray(address)
+      ? address.map((a) => a.address)
+      : [address];
+    if (addresses.some(isPrivateAddress)) {
+      return callback(new Error(`${hostname} resolves to a private address`));
+    }
+    callback(null, address, family);
+  });
+
+// Redirects are not followed, so a receiver cannot bounce us elsewhere
+const postWebhook = (url, headers, body) =>
+  new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const host = urlHost(target);
+    if (net.isIP(host) && isPrivateAddress(host)) {
+      return reject(new Error(`${host} is a private address`));
+    }
+
+    const request = (target.protocol === "https:" ? https : http).request(
+      target,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        lookup: publicLookup,
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT),
+      },
+      (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      }
+    );
+    request.on("error", reject);
+    request.end(body);
+  });
+
+// Webhook Schema
+const WebhookSchema = new mongoose.Schema(
+  {
+    webhookId: { type: String, required: true, unique: true },
+    academyId: { type: String, required: true, index: true },
+    url: { type: String, required: true },
+    events: [{ type: String, enum: WEBHOOK_EVENTS }],
+    secret: { type: String, required: true, select: false },
+    active: { type: Boolean, default: true },
+  },
+  { timestamps: true }
+);
+
+export const Webhook = mongoose.model("Webhook", WebhookSchema);
+
+// Webhook Delivery Schema
+const WebhookDeliverySchema = new mongoose.Schema(
+  {
+    deliveryId: { type: String, required: true, unique: true },
+    webhookId: { type: String, required: true, index: true },
+    academyId: { type: String, required: true },
+    event: { type: String, required: true },
+    payload: { type: Object, required: true },
+    status: {
+      type: String,
+      enum: ["pending", "delivered", "failed"],
+      default: "pending",
+    },
+    attempts: [
+      {
+        at: { type: Date },
+        statusCode: { type: Number },
+        error: { type: String },
+      },
+    ],
+    nextAttemptAt: { type: Date },
+    deliveredAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+export const WebhookDelivery = mongoose.model(
+  "WebhookDelivery",
+  WebhookDeliverySchema
+);
+
+export const generateWebhookSecret = () =>
+  crypto.randomBytes(32).toString("hex");
+
+// Receivers recompute this over `${timestamp}.${body}` with their secret
+export const signPayload = (secret, timestamp, body) =>
+  crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+
+const attemptDelivery = async (deliveryId) => {
+  const delivery = await WebhookDelivery.findOne({ deliveryId });
+  if (!delivery || delivery.status !== "pending") {
+    return;
+  }
+
+  const webhook = await Webhook.findOne({
+    webhookId: delivery.webhookId,
+  }).select("+secret");
+  if (!webhook || !webhook.active) {
+    delivery.status = "failed";
+    delivery.attempts.push({ at: new Date(), error: "Webhook removed" });
+    return delivery.save();
+  }
+
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const attempt = { at: new Date() };
+
+  try {
+    const statusCode = await postWebhook(
+      webhook.url,
+      {
+        "Content-Type": "application/json",
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Delivery": delivery.deliveryId,
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": `sha256=${signPayload(
+          webhook.secret,
+          timestamp,
+          body
+        )}`,
+      },
+      body
+    );
+    attempt.statusCode = statusCode;
+    if (statusCode < 200 || statusCode >= 300) {
+      attempt.error = `Receiver responded with ${statusCode}`;
+    }
+  } catch (error) {
+    attempt.error = error.message;
+  }
+
+  delivery.attempts.push(attempt);
+  if (!attempt.error) {
+    delivery.status = "delivered";
+    delivery.deliveredAt = new Date();
+    delivery.nextAttemptAt = undefined;
+  } else if (delivery.attempts.length > RETRY_DELAYS.length) {
+    delivery.status = "failed";
+    delivery.nextAttemptAt = undefined;
+  } else {
+    const delay = RETRY_DELAYS[delivery.attempts.length - 1];
+    delivery.nextAttemptAt = new Date(Date.now() + delay);
+    scheduleDelivery(delivery.deliveryId, delay);
+  }
+  await delivery.save();
+};
+
+const scheduleDelivery = (deliveryId, delay = 0) => {
+  setTimeout(() => {
+    attemptDelivery(deliveryId).catch((error) =>
+      console.error(`Error delivering webhook ${deliveryId}:`, error)
+    );
+  }, delay);
+};
+
+const dispatchWebhookEvent = async (academyId, event, payload) => {
+  const webhooks = await Webhook.find({
+    academyId,
+    active: true,
+    events: event,
+  });
+
+  await Promise.all(
+    webhooks.map(async (webhook) => {
+      const delivery = await WebhookDelivery.create({
+        deliveryId: crypto.randomUUID(),
+        webhookId: webhook.webhookId,
+        academyId,
+        event,
+        payload: { event, ...payload },
+      });
+      scheduleDelivery(delivery.deliveryId);
+    })
+  );
+};
+
+// Translate internal match events into the events academies subscribe to
+const toWebhookEvent = (event) => {
+  if (event.type === "lifecycle" && !event.channel) {
+    return {
+      created: "match.created",
+      live: "match.live",
+      complete: "match.ended",
+      failed: "match.failed",
+    }[event.status];
+  }
+  // Before going live there is often no encoder yet, which is not a problem
+  if (
+    event.type === "health" &&
+    event.matchStatus === "live" &&
+    (event.error ||
+      event.streamStatus === "error" ||
+      ["bad", "noData"].includes(event.healthStatus))
+  ) {
+    return "match.unhealthy";
+  }
+  return null;
+};
+
+export const handleMatchEvent = (event) => {
+  const webhookEvent = toWebhookEvent(event);
+  if (!webhookEvent) {
+    return;
+  }
+
+  const { type, matchId, academyId, at, ...data } = event;
+  dispatchWebhookEvent(academyId, webhookEvent, {
+    matchId,
+    academyId,
+    occurredAt: at,
+    data,
+  }).catch((error) =>
+    console.error(`Error dispatching ${webhookEvent}:`, error)
+  );
+};
+
+// Pick up retries that were waiting when the server stopped
+export const restoreWebhookDeliveries = async () => {
+  try {
+    const deliveries = await WebhookDelivery.find({ status: "pending" });
+    deliveries.forEach((delivery) =>
+      scheduleDelivery(
+        delivery.deliveryId,
+        Math.max((delivery.nextAttemptAt || 0) - Date.now(), 0)
+      )
+    );
+  } catch (error) {
+    console.error("Error restoring webhook deliveries:", error);
+  }
+};
@@ -0,0 +1,23 @@
+import { google } from "googleapis";
+import { createFakeYoutube } from "./fakeYoutube.js";
+import { meterYoutube } from "./quota.js";
+
+let client;
+
+// All YouTube calls go through here so the in-memory fake can stand in for
+// the real API (FAKE_YOUTUBE=true) or be injected with setYoutube. Either
+// way each call is metered against the daily quota.
+export const getYoutube = () => {
+  if (!client) {
+    client = meterYoutube(
+      process.env.FAKE_YOUTUBE === "true"
+        ? createFakeYoutube()
+        : google.youtube("v3")
+    );
+  }
+  return client;
+};
+
+export const setYoutube = (youtube) => {
+  client = meterYoutube(youtube);
+};